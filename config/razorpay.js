@@ -0,0 +1,123 @@
+// config/razorpay.js - Razorpay gateway client
+//
+// Talks to the Razorpay REST API directly. Set RAZORPAY_API_URL to point
+// at a local fake gateway (see scripts/fakeRazorpayGateway.js) for testing.
+const crypto = require('crypto');
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://api.razorpay.com/v1';
+const REQUEST_TIMEOUT_MS = 10000;
+
+function getRazorpayConfig() {
+  return {
+    keyId: process.env.RAZORPAY_KEY_ID || '',
+    keySecret: process.env.RAZORPAY_KEY_SECRET || '',
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || '',
+    apiUrl: (process.env.RAZORPAY_API_URL || DEFAULT_API_URL).replace(/\/+$/, ''),
+  };
+}
+
+function isRazorpayConfigured() {
+  const { keyId, keySecret } = getRazorpayConfig();
+  return Boolean(keyId && keySecret);
+}
+
+// Razorpay amounts are integers in paise
+const toPaise = (amount) => Math.round((Number(amount) || 0) * 100);
+
+async function request(method, path, data) {
+  const { keyId, keySecret, apiUrl } = getRazorpayConfig();
+
+  try {
+    const response = await axios({
+      method,
+      url: `${apiUrl}${path}`,
+      data,
+      auth: { username: keyId, password: keySecret },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+    return response.data;
+  } catch (error) {
+    const gatewayError = new Error(
+      error.response?.data?.error?.description ||
+        `Razorpay request failed: ${error.message}`
+    );
+    gatewayError.code = 'RAZORPAY_ERROR';
+    gatewayError.status = error.response?.status;
+    throw gatewayError;
+  }
+}
+
+/**
+ * Create a gateway order for one of our orders
+ * @param {object} params
+ * @param {number} params.amount - Amount in rupees
+ * @param {string} params.receipt - Our order number
+ * @param {object} [params.notes] - Stored on the gateway order
+ * @returns {Promise<object>} Razorpay order ({ id, amount, currency, status, ... })
+ */
+function createRazorpayOrder({ amount, receipt, notes = {} }) {
+  return request('post', '/orders', {
+    amount: toPaise(amount),
+    currency: 'INR',
+    receipt,
+    notes,
+  });
+}
+
+/**
+ * Refund a captured payment in full, or `amount` rupees of it
+ * @param {object} params
+ * @param {string} params.paymentId - pay_XXXX
+ * @param {number} [params.amount] - Amount in rupees (default: all of it)
+ * @param {object} [params.notes] - Stored on the refund
+ * @returns {Promise<object>} Razorpay refund ({ id, amount, status, ... })
+ */
+function refundRazorpayPayment({ paymentId, amount, notes = {} }) {
+  return request('post', `/payments/${encodeURIComponent(paymentId)}/refund`, {
+    ...(amount != null && { amount: toPaise(amount) }),
+    notes,
+  });
+}
+
+const hmac = (secret, payload) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const safeEqual = (a, b) =>
+  typeof a === 'string' &&
+  typeof b === 'string' &&
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Verify the signature Checkout returns after a successful payment
+ */
+function verifyCheckoutSignature({ razorpayOrderId, razorpayPaymentId, signature }) {
+  const { keySecret } = getRazorpayConfig();
+  if (!keySecret || !razorpayOrderId || !razorpayPaymentId) return false;
+
+  return safeEqual(
+    signature,
+    hmac(keySecret, `${razorpayOrderId}|${razorpayPaymentId}`)
+  );
+}
+
+/**
+ * Verify X-Razorpay-Signature (HMAC-SHA256 of the raw body)
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  const { webhookSecret } = getRazorpayConfig();
+  if (!webhookSecret || !rawBody) return false;
+
+  return safeEqual(signature, hmac(webhookSecret, rawBody));
+}
+
+module.exports = {
+  getRazorpayConfig,
+  isRazorpayConfigured,
+  createRazorpayOrder,
+  refundRazorpayPayment,
+  verifyCheckoutSignature,
+  verifyWebhookSignature,
+  toPaise,
+};
@@ -223,7 +223,7 @@ exports.getDashboard = async (req, res) => {
       Order.aggregate([
         { 
           $match: { 
-            status: { $in: ['confirmed', 'shipped', 'delivered'] } 
+            status: { $in: ['confirmed', 'partially_shipped', 'shipped', 'delivered'] } 
           } 
         },
         { 
@@ -506,7 +506,7 @@ exports.getAnalytics = async (req, res) => {
         {
           $match: {
             orderDate: { $gte: startDate },
-            status: { $in: ['confirmed', 'shipped', 'delivered'] }
+            status: { $in: ['confirmed', 'partially_shipped', 'shipped', 'delivered'] }
           }
         },
         {
@@ -528,7 +528,7 @@ exports.getAnalytics = async (req, res) => {
         {
           $match: {
             orderDate: { $gte: startDate },
-            status: { $in: ['confirmed', 'shipped', 'delivered'] }
+            status: { $in: ['confirmed', 'partially_shipped', 'shipped', 'delivered'] }
           }
         },
         { $unwind: '$items' },
@@ -564,7 +564,7 @@ exports.getAnalytics = async (req, res) => {
         {
           $match: {
             orderDate: { $gte: startDate },
-            status: { $in: ['confirmed', 'shipped', 'delivered'] }
+            status: { $in: ['confirmed', 'partially_shipped', 'shipped', 'delivered'] }
           }
         },
         {
@@ -0,0 +1,133 @@
+// middleware/idempotency.js - Idempotency-Key support for retry-prone endpoints
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a request may hold its key before a retry can take it over
+const LEASE_SECONDS = 60;
+
+const newLease = () => new Date(Date.now() + LEASE_SECONDS * 1000);
+
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Replay the first response for a repeated Idempotency-Key instead of
+ * running the handler again. Must be mounted after `auth` (keys are per user).
+ * Requests without the header are processed normally.
+ * @param {string} scope - Name of the protected operation
+ */
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  try {
+    if (key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key cannot exceed 255 characters',
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      });
+    }
+
+    const requestHash = hashRequest(req);
+    const userId = req.user._id;
+    let lease = newLease();
+
+    try {
+      await IdempotencyKey.create({ key, userId, scope, requestHash, lockedUntil: lease });
+    } catch (createError) {
+      if (createError.code !== 11000) throw createError;
+
+      const existing = await IdempotencyKey.findOne({ key, userId });
+
+      if (!existing || existing.scope !== scope || existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (existing.state === 'completed') {
+        console.log(`🔁 Replaying ${scope} response for Idempotency-Key ${key}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Keys from before leases existed have none; count from creation
+      const leaseEnd = existing.lockedUntil ||
+        new Date(existing.createdAt.getTime() + LEASE_SECONDS * 1000);
+      const takenOver = leaseEnd < new Date() &&
+        await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, state: 'in_progress', lockedUntil: existing.lockedUntil ?? null },
+          { $set: { lockedUntil: lease } }
+        );
+
+      if (!takenOver) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_IN_PROGRESS'
+        });
+      }
+      console.log(`♻️ Taking over stale Idempotency-Key ${key} for ${scope}`);
+    }
+
+    // Only touch the key while we still hold its lease
+    const owned = { key, userId, state: 'in_progress', lockedUntil: lease };
+    let settled = false;
+
+    // Store the response before it is sent so a replay never misses it
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const stored = res.statusCode >= 500
+        // Server errors are not stored - the client may retry with the same key
+        ? IdempotencyKey.deleteOne(owned)
+        : IdempotencyKey.updateOne(
+            owned,
+            {
+              $set: {
+                state: 'completed',
+                responseStatus: res.statusCode,
+                responseBody: JSON.parse(JSON.stringify(body ?? null))
+              }
+            }
+          );
+
+      stored
+        .catch((storeError) => {
+          console.error('❌ Failed to store idempotent response:', storeError.message);
+        })
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    // Thrown errors, res.send/res.end answers and dropped connections store
+    // nothing: free the key so a retry runs the request again
+    const release = () => {
+      if (settled) return;
+      settled = true;
+      IdempotencyKey.deleteOne(owned).catch((releaseError) => {
+        console.error('❌ Failed to release Idempotency-Key:', releaseError.message);
+      });
+    };
+    res.on('finish', release);
+    res.on('close', release);
+
+    next();
+  } catch (error) {
+    console.error('❌ Idempotency middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process Idempotency-Key'
+    });
+  }
+};
+
+module.exports = idempotency;
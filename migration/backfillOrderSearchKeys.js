@@ -0,0 +1,65 @@
+// migration/backfillOrderSearchKeys.js - Build searchKeys for orders saved
+// before admin search existed (see utils/orderSearch). New and updated orders
+// get their keys on save or through the Order update hooks. Safe to re-run:
+// keys are rebuilt from the order.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { buildSearchKeys } = require('../utils/orderSearch');
+
+const BATCH_SIZE = 500;
+
+async function backfillSearchKeys() {
+  let updated = 0;
+
+  try {
+    console.log('Starting order search key backfill...');
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to database');
+
+    // Make sure the searchKeys index exists before searches rely on it
+    await Order.createIndexes();
+
+    const cursor = Order.find({})
+      .select(
+        'orderNumber legacyOrderNumber userName userEmail userPhone shippingAddress payment.transactionId payment.razorpay.paymentId trackingNumber shipments.trackingNumber'
+      )
+      .lean()
+      .cursor({ batchSize: BATCH_SIZE });
+
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const result = await Order.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+      batch = [];
+      console.log(`Updated ${updated} orders so far`);
+    };
+
+    for await (const order of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: order._id },
+          update: { $set: { searchKeys: buildSearchKeys(order) } },
+        },
+      });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`Migration completed: ${updated} orders updated`);
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Database connection closed');
+  }
+}
+
+// Run migration
+if (require.main === module) {
+  backfillSearchKeys();
+}
+
+module.exports = backfillSearchKeys;
@@ -0,0 +1,78 @@
+// migration/moveScreenshotsToStorage.js - Move base64 payment screenshots out
+// of order documents into file storage (FILE_STORAGE, default local disk).
+// Each order gets payment.screenshotFile and loses payment.screenshot.
+// Blobs that are not a readable image are left in place and reported.
+// Safe to re-run.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const {
+  storePaymentScreenshot,
+  removePaymentScreenshot,
+  decodeBase64Screenshot,
+} = require('../utils/paymentScreenshots');
+
+async function moveScreenshots() {
+  let moved = 0;
+  let skipped = 0;
+
+  try {
+    console.log('Starting payment screenshot migration...');
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to database');
+
+    // Stream the ids only; each blob is loaded and moved one at a time
+    const cursor = Order.find({
+      'payment.screenshot': { $type: 'string', $ne: '' },
+    })
+      .select('_id orderNumber')
+      .lean()
+      .cursor();
+
+    for await (const { _id, orderNumber } of cursor) {
+      const order = await Order.findById(_id).select('payment.screenshot').lean();
+      const blob = order?.payment?.screenshot;
+      if (!blob) continue;
+
+      let file;
+      try {
+        file = await storePaymentScreenshot(_id, decodeBase64Screenshot(blob));
+      } catch (error) {
+        skipped++;
+        console.log(`Skipped ${orderNumber}: ${error.message}`);
+        continue;
+      }
+
+      // Guard on the same blob in case the order changed meanwhile
+      const result = await Order.updateOne(
+        { _id, 'payment.screenshot': blob },
+        {
+          $set: { 'payment.screenshotFile': file },
+          $unset: { 'payment.screenshot': '' },
+        }
+      );
+
+      if (result.modifiedCount) {
+        moved++;
+        console.log(`Moved screenshot of ${orderNumber} -> ${file.storage}:${file.key}`);
+      } else {
+        await removePaymentScreenshot(file);
+      }
+    }
+
+    console.log(`Migration completed: ${moved} moved, ${skipped} skipped`);
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Database connection closed');
+  }
+}
+
+// Run migration
+if (require.main === module) {
+  moveScreenshots();
+}
+
+module.exports = moveScreenshots;
@@ -0,0 +1,92 @@
+// migration/sequentialOrderNumbers.js - Renumber old ORD/LB<timestamp> orders
+// to LB-<year>-<sequence>. The old number is kept in legacyOrderNumber so
+// /api/orders/number/:orderNumber still finds the order. Safe to re-run.
+//
+// Run it BEFORE the server that issues LB-<year>-<sequence> numbers takes
+// its first order, so the old orders get the first numbers of each year.
+// Once the server has issued a number the script refuses to run: old orders
+// then keep their ORD/LB<timestamp> numbers, which cannot clash with the
+// new format and are still found by /api/orders/number/:orderNumber.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const {
+  formatOrderNumber,
+  getOrderYear,
+  ORDER_NUMBER_PATTERN,
+} = require('../utils/orderNumber');
+
+async function migrateOrderNumbers() {
+  try {
+    console.log('Starting order number migration...');
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to database');
+
+    // Numbers the server issued itself have no legacyOrderNumber
+    const issued = await Order.findOne({
+      orderNumber: ORDER_NUMBER_PATTERN,
+      legacyOrderNumber: null,
+    })
+      .select('orderNumber')
+      .lean();
+    if (issued) {
+      console.error(
+        `The server has already issued ${issued.orderNumber}; renumbering now would put old orders after new ones. Old orders keep their numbers.`
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    // Oldest first so the new sequence follows the order dates
+    const legacyOrders = await Order.find({
+      orderNumber: { $not: ORDER_NUMBER_PATTERN },
+    })
+      .select('orderNumber orderDate createdAt')
+      .sort({ orderDate: 1, createdAt: 1 })
+      .lean();
+    console.log(`Found ${legacyOrders.length} orders to renumber`);
+
+    let migrated = 0;
+
+    for (const order of legacyOrders) {
+      const year = getOrderYear(order.orderDate || order.createdAt);
+      const sequence = await Counter.next(`order-${year}`);
+      const orderNumber = formatOrderNumber(year, sequence);
+
+      // Guard on the old number in case the script runs twice in parallel
+      const result = await Order.updateOne(
+        { _id: order._id, orderNumber: order.orderNumber },
+        {
+          $set: {
+            orderNumber,
+            legacyOrderNumber: order.orderNumber,
+          },
+        }
+      );
+
+      if (result.modifiedCount) {
+        migrated++;
+        console.log(`Renumbered ${order.orderNumber} -> ${orderNumber}`);
+      }
+    }
+
+    console.log(`Migration completed: ${migrated} orders renumbered`);
+
+    await Order.collection.createIndex({ legacyOrderNumber: 1 }, { sparse: true });
+    console.log('Indexes created successfully');
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Database connection closed');
+  }
+}
+
+// Run migration
+if (require.main === module) {
+  migrateOrderNumbers();
+}
+
+module.exports = migrateOrderNumbers;
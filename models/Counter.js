@@ -0,0 +1,27 @@
+// models/Counter.js - Named atomic sequences (invoice numbers, etc.)
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Sequence name, e.g. 'invoice-2026-27'
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically increment a sequence and return the new value
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
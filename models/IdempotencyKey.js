@@ -0,0 +1,47 @@
+// models/IdempotencyKey.js - Stored responses for Idempotency-Key replays
+const mongoose = require("mongoose");
+
+// How long a key (and its stored response) can be replayed
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [255, "Idempotency key cannot exceed 255 characters"],
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Logical operation the key was first used for, e.g. "order-create"
+    scope: { type: String, required: true },
+    requestHash: { type: String, required: true },
+    state: {
+      type: String,
+      enum: ["in_progress", "completed"],
+      default: "in_progress",
+    },
+    // An in_progress key whose lease has run out (crashed or hung request)
+    // can be taken over by a retry
+    lockedUntil: { type: Date, default: null },
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: mongoose.Schema.Types.Mixed, default: null },
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000),
+    },
+  },
+  { timestamps: true }
+);
+
+// One stored response per user and key
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+// Let MongoDB purge expired keys
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -1,5 +1,43 @@
 //models/Order.js
 const mongoose = require("mongoose");
+const { reserveItems, releaseItems } = require("../utils/stockManager");
+const {
+  STATUS_TRANSITIONS,
+  canTransition,
+  canStepBack,
+} = require("../utils/orderStatus");
+const { generateOrderNumber } = require("../utils/orderNumber");
+const { buildSearchKeys } = require("../utils/orderSearch");
+const { issueInvoiceOnConfirm } = require("../utils/invoiceGenerator");
+
+// Statuses whose stock goes back on the shelf
+const STOCK_RELEASE_STATUSES = ["cancelled", "payment_failed", "returned"];
+// Statuses that must hold stock (reserved at checkout or on confirmation)
+const STOCK_HOLD_STATUSES = [
+  "confirmed",
+  "processing",
+  "partially_shipped",
+  "shipped",
+  "delivered",
+];
+
+// Fields utils/orderSearch builds searchKeys from
+const SEARCH_KEY_PATHS = [
+  "orderNumber",
+  "legacyOrderNumber",
+  "userName",
+  "userEmail",
+  "userPhone",
+  "shippingAddress",
+  "payment.transactionId",
+  "payment.razorpay.paymentId",
+  "trackingNumber",
+  "shipments",
+];
+
+// Marks a status change made by syncShipmentStatus; a Symbol, so it cannot
+// arrive in a request body passed through to updateStatus
+const SHIPMENT_STEP_BACK = Symbol("shipmentStepBack");
 
 const orderItemSchema = new mongoose.Schema({
   productId: {
@@ -23,6 +61,14 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: [0, "Total price cannot be negative"],
   },
+  // GST for this line (amounts after its share of the order discount)
+  hsnCode: { type: String, trim: true },
+  gstRate: { type: Number, min: [0, "GST rate cannot be negative"] },
+  taxableValue: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
 });
 
 const shippingAddressSchema = new mongoose.Schema({
@@ -90,6 +136,127 @@ const shippingAddressSchema = new mongoose.Schema({
   country: { type: String, default: "India", trim: true },
 });
 
+// One refund paid back to the customer (partial or full)
+const refundSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, "Refund amount must be greater than 0"],
+    },
+    method: { type: String, default: "UPI" },
+    upiReference: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    reason: { type: String, default: "", trim: true },
+    returnId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    refundedAt: { type: Date, default: Date.now },
+    recordedBy: {
+      type: { type: String, default: "admin" },
+      id: { type: String, default: null },
+      name: { type: String, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+// Cash collected for a Cash on Delivery order
+const codCollectionSchema = new mongoose.Schema(
+  {
+    fee: { type: Number, default: 0, min: 0 },
+    expectedAmount: { type: Number, default: 0, min: 0 },
+    status: {
+      type: String,
+      enum: [
+        "pending", // not delivered yet
+        "awaiting_reconciliation", // delivered, cash not counted yet
+        "collected",
+        "short_collected",
+        "refused",
+      ],
+      default: "pending",
+    },
+    collectedAmount: { type: Number, default: null, min: 0 },
+    shortfall: { type: Number, default: 0 },
+    collectedAt: { type: Date, default: null },
+    collectedBy: { type: String, default: null },
+    reference: { type: String, trim: true, default: "" },
+    reconciledAt: { type: Date, default: null },
+    reconciledBy: { type: String, default: null },
+    refusedAt: { type: Date, default: null },
+    refusalReason: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
+
+// Reference to a file kept in a storage backend instead of the document
+const storedFileSchema = new mongoose.Schema(
+  {
+    storage: { type: String, required: true }, // backend name, e.g. 'local'
+    key: { type: String, required: true },
+    contentType: { type: String },
+    size: { type: Number },
+    sha256: { type: String }, // spots the same image reused across orders
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Fraud risk of a payment submission (utils/paymentRisk.js)
+const paymentRiskSchema = new mongoose.Schema(
+  {
+    score: { type: Number, default: 0, min: 0, max: 100 },
+    level: { type: String, enum: ["low", "medium", "high"], default: "low" },
+    signals: [
+      {
+        _id: false,
+        code: { type: String, required: true },
+        points: { type: Number, required: true },
+        message: { type: String, default: "" },
+        // Other orders behind the signal, for admins to open
+        relatedOrderIds: [{ type: mongoose.Schema.Types.ObjectId }],
+      },
+    ],
+    assessedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Razorpay gateway order and payment behind an order
+const razorpayPaymentSchema = new mongoose.Schema(
+  {
+    orderId: { type: String, trim: true }, // order_XXXX
+    paymentId: { type: String, trim: true, default: null }, // pay_XXXX
+    amount: { type: Number, default: 0 }, // paise
+    status: {
+      type: String,
+      enum: ["created", "captured", "failed"],
+      default: "created",
+    },
+    method: { type: String, default: null }, // upi, card, netbanking...
+    failureReason: { type: String, default: "" },
+    // Declined attempts; the order stays pending so the customer can retry
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: { type: Date, default: null },
+    capturedAt: { type: Date, default: null },
+    lastEventId: { type: String, default: null },
+    // Captured after the order could no longer take it (e.g. expired) and
+    // refunded through Razorpay; 'failed' needs an admin to refund by hand
+    refundStatus: {
+      type: String,
+      enum: ["processed", "failed"],
+      default: null,
+    },
+    refundId: { type: String, default: null }, // rfnd_XXXX
+    refundedAt: { type: Date, default: null },
+    refundError: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
 // Updated payment schema - simpler structure
 const paymentInfoSchema = new mongoose.Schema({
   method: {
@@ -103,6 +270,7 @@ const paymentInfoSchema = new mongoose.Schema({
       "pending_verification",
       "verified",
       "verification_failed",
+      "partially_refunded",
       "refunded",
     ],
     default: "pending",
@@ -113,22 +281,63 @@ const paymentInfoSchema = new mongoose.Schema({
     uppercase: true,
     trim: true,
   },
-  screenshot: String, // Base64 encoded image or file path
-  upiId: String,
+  screenshot: String, // Legacy base64 image; see migration/moveScreenshotsToStorage.js
+  // Uploaded screenshot in file storage (utils/storage)
+  screenshotFile: { type: storedFileSchema, default: undefined },
+  upiId: { type: String, trim: true, lowercase: true }, // payer's UPI ID
+  // Where the submission came from (fraud checks)
+  ipAddress: String,
+  userAgent: String,
+  // Admin only: never loaded unless selected with '+payment.risk'
+  risk: { type: paymentRiskSchema, default: undefined, select: false },
   submittedAt: Date,
   verifiedAt: Date,
   verificationNotes: String,
+  // Bank statement UTR this payment was reconciled against (one order each)
+  reconciledReference: { type: String, uppercase: true, trim: true },
   verifiedBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "User", // Changed from 'Admin' to 'User' to match your existing ref
+    type: String, // Admin ID, or 'api-key-admin' for API key access
   },
   amount: {
     type: Number,
     required: true,
     min: [0, "Payment amount cannot be negative"],
   },
+  refunds: { type: [refundSchema], default: [] },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, "Refunded amount cannot be negative"],
+  },
+  // Only set for Cash on Delivery orders
+  cod: { type: codCollectionSchema, default: undefined },
+  // Only set for orders paid through Razorpay
+  razorpay: { type: razorpayPaymentSchema, default: undefined },
 });
 
+const taxBreakdownSchema = new mongoose.Schema(
+  {
+    placeOfSupply: { type: String, trim: true },
+    isInterState: { type: Boolean, default: false },
+    // Catalogue prices already include GST, so tax is not added to the total
+    pricesIncludeTax: { type: Boolean, default: true },
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    delivery: {
+      gstRate: { type: Number, default: 0 },
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      taxAmount: { type: Number, default: 0 },
+    },
+  },
+  { _id: false }
+);
+
 const deliveryInfoSchema = new mongoose.Schema(
   {
     charges: {
@@ -165,6 +374,179 @@ const deliveryInfoSchema = new mongoose.Schema(
       type: Number,
       default: 1499,
     },
+    // Cash on Delivery fee, included in charges
+    codFee: {
+      type: Number,
+      default: 0,
+      min: [0, "COD fee cannot be negative"],
+    },
+    // Quoted at checkout from the delivery schedule
+    estimatedDelivery: {
+      dispatchDate: { type: Date, default: null },
+      earliestDate: { type: Date, default: null },
+      latestDate: { type: Date, default: null },
+      transitDays: {
+        min: { type: Number, default: null },
+        max: { type: Number, default: null },
+      },
+      handlingDays: { type: Number, default: null },
+      cutoffTime: { type: String, default: null },
+      label: { type: String, default: null },
+    },
+  },
+  { _id: false }
+);
+
+const returnItemSchema = new mongoose.Schema(
+  {
+    orderItemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    productId: { type: mongoose.Schema.Types.Mixed },
+    name: { type: String, required: true, trim: true },
+    price: { type: Number, required: true, min: 0 },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, "Return quantity must be at least 1"],
+    },
+  },
+  { _id: false }
+);
+
+// One parcel of an order (large orders ship in several)
+const shipmentSchema = new mongoose.Schema(
+  {
+    courier: { type: String, trim: true, default: "" },
+    trackingNumber: { type: String, trim: true, default: "" },
+    trackingUrl: { type: String, trim: true, default: "" },
+    items: [
+      {
+        orderItemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        productId: { type: mongoose.Schema.Types.Mixed },
+        name: { type: String, required: true },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+        },
+        _id: false,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["shipped", "delivered", "cancelled"],
+      default: "shipped",
+    },
+    shippedAt: { type: Date, default: Date.now },
+    deliveredAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    notes: { type: String, trim: true, default: "" },
+    createdBy: { type: String, default: null },
+    // Set when the parcel was booked through a courier adapter
+    courierReference: { type: String, default: null },
+    courierStatus: { type: String, default: null },
+    events: [
+      {
+        eventId: { type: String, default: null }, // courier's own id, if it sends one
+        status: { type: String, required: true },
+        description: { type: String, default: "" },
+        location: { type: String, default: "" },
+        occurredAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Customer <-> admin conversation about an order
+const orderMessageSchema = new mongoose.Schema(
+  {
+    sender: {
+      type: {
+        type: String,
+        enum: ["customer", "admin"],
+        required: true,
+      },
+      id: { type: String, default: null },
+      name: { type: String, default: null },
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [2000, "Message cannot exceed 2000 characters"],
+    },
+    // Either an http(s) link or a file in storage (utils/messageAttachments)
+    attachments: [
+      {
+        url: { type: String, default: undefined },
+        file: { type: storedFileSchema, default: undefined },
+        name: { type: String, trim: true, default: "" },
+        _id: false,
+      },
+    ],
+    // Read receipt: set when the other side opens the thread
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Customer return (RMA): requested -> approved | rejected, approved -> received
+const returnRequestSchema = new mongoose.Schema(
+  {
+    items: {
+      type: [returnItemSchema],
+      validate: {
+        validator: (v) => v && v.length > 0,
+        message: "Return must contain at least one item",
+      },
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [1000, "Return reason cannot exceed 1000 characters"],
+    },
+    photos: { type: [String], default: [] }, // http(s) links
+    // Uploaded photos in file storage (utils/storage)
+    photoFiles: { type: [storedFileSchema], default: [] },
+    status: {
+      type: String,
+      enum: ["requested", "approved", "rejected", "received"],
+      default: "requested",
+    },
+    requestedAt: { type: Date, default: Date.now },
+    approvedAt: { type: Date, default: null },
+    rejectedAt: { type: Date, default: null },
+    receivedAt: { type: Date, default: null },
+    rejectionReason: { type: String, default: null },
+    adminNotes: { type: String, default: "" },
+    restocked: { type: Boolean, default: false },
+    refundAmount: { type: Number, default: 0, min: 0 },
+    handledBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: { type: String, required: true },
+    previousStatus: { type: String, default: null },
+    timestamp: { type: Date, default: Date.now },
+    actor: {
+      type: {
+        type: String,
+        enum: ["user", "admin", "api-key", "system"],
+        default: "system",
+      },
+      id: { type: String, default: null },
+      name: { type: String, default: null },
+    },
+    note: {
+      type: String,
+      default: "",
+      maxlength: [1000, "Status note cannot exceed 1000 characters"],
+    },
   },
   { _id: false }
 );
@@ -177,6 +559,8 @@ const orderSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Number the order had before sequential numbering (still resolvable)
+    legacyOrderNumber: { type: String, default: undefined },
 
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -238,6 +622,10 @@ const orderSchema = new mongoose.Schema(
       default: 0,
       min: [0, "Tax cannot be negative"],
     },
+    taxBreakdown: {
+      type: taxBreakdownSchema,
+      default: null,
+    },
     total: {
       type: Number,
       required: true,
@@ -261,6 +649,7 @@ const orderSchema = new mongoose.Schema(
         "payment_submitted",
         "confirmed",
         "processing",
+        "partially_shipped",
         "shipped",
         "delivered",
         "cancelled",
@@ -271,12 +660,23 @@ const orderSchema = new mongoose.Schema(
       index: true,
     },
 
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
+
     orderDate: { type: Date, default: Date.now, index: true },
     confirmedAt: { type: Date, default: null },
     shippedAt: { type: Date, default: null },
     deliveredAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: String, default: null },
 
     trackingNumber: { type: String, default: null },
+    shipments: { type: [shipmentSchema], default: [] },
+
+    // Whether item quantities are currently deducted from Product.stock
+    stockReserved: { type: Boolean, default: false },
 
     notes: {
       type: String,
@@ -291,6 +691,21 @@ const orderSchema = new mongoose.Schema(
 
     cancellationReason: { type: String, default: null },
     returnReason: { type: String, default: null },
+    returns: { type: [returnRequestSchema], default: [] },
+    messages: { type: [orderMessageSchema], default: [] },
+
+    // GST tax invoice, numbered per financial year when the order is confirmed
+    invoice: {
+      number: { type: String, default: null },
+      financialYear: { type: String, default: null },
+      sequence: { type: Number, default: null },
+      issuedAt: { type: Date, default: null },
+      // Set while one request takes the next number (utils/invoiceGenerator)
+      claimedAt: { type: Date, default: null },
+    },
+
+    // Normalised search terms, rebuilt on every save (utils/orderSearch)
+    searchKeys: { type: [String], default: [], select: false },
   },
   {
     timestamps: true,
@@ -299,34 +714,28 @@ const orderSchema = new mongoose.Schema(
   }
 );
 
+// One atomic counter hands out every order number (before required checks)
+orderSchema.pre("validate", async function (next) {
+  try {
+    if (this.isNew && !this.orderNumber) {
+      this.orderNumber = await generateOrderNumber(this.orderDate);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Enhanced pre-save middleware with better error handling
 orderSchema.pre("save", async function (next) {
   try {
-    if (this.isNew && !this.orderNumber) {
-      let attempts = 0;
-      const maxAttempts = 5;
-
-      while (attempts < maxAttempts) {
-        try {
-          const timestamp = Date.now();
-          const random = Math.floor(Math.random() * 1000)
-            .toString()
-            .padStart(3, "0");
-          const orderNumber = `ORD${timestamp}${random}`;
-
-          const existingOrder = await this.constructor.findOne({ orderNumber });
-          if (!existingOrder) {
-            this.orderNumber = orderNumber;
-            break;
-          }
-          attempts++;
-        } catch (error) {
-          attempts++;
-          if (attempts >= maxAttempts) {
-            throw new Error("Failed to generate unique order number");
-          }
-        }
-      }
+    // Every order starts its history when it is placed
+    if (this.isNew && this.statusHistory.length === 0) {
+      this.statusHistory.push({
+        status: this.status,
+        actor: { type: "system", name: "System" },
+        note: "Order placed",
+      });
     }
 
     // ✅ ADD: Calculate correct total with delivery charges
@@ -334,8 +743,10 @@ orderSchema.pre("save", async function (next) {
       (sum, item) => sum + item.totalPrice,
       0
     );
+    // GST-inclusive prices already carry the tax
+    const addedTax = this.taxBreakdown?.pricesIncludeTax ? 0 : this.tax;
     const calculatedTotal =
-      itemsTotal - this.discount + this.deliveryCharges + this.tax;
+      itemsTotal - this.discount + this.deliveryCharges + addedTax;
 
     // Update total if significantly different (allow for small floating point differences)
     if (Math.abs(this.total - calculatedTotal) > 0.01) {
@@ -355,15 +766,306 @@ orderSchema.pre("save", async function (next) {
       }
     });
 
+    // Rebuild search keys when their sources change, never from a partial load
+    if (
+      SEARCH_KEY_PATHS.every((path) => this.isSelected(path)) &&
+      (this.isNew || SEARCH_KEY_PATHS.some((path) => this.isModified(path)))
+    ) {
+      this.searchKeys = buildSearchKeys(this);
+    }
+
     next();
   } catch (error) {
     next(error);
   }
 });
 
-// Enhanced status update method
-orderSchema.methods.updateStatus = function (newStatus, additionalData = {}) {
+// Does an update write any field searchKeys are built from?
+const touchesSearchKeys = (update = {}) =>
+  Object.entries(update).some(([key, value]) => {
+    const paths = key.startsWith("$") ? Object.keys(value || {}) : [key];
+    return paths.some((path) =>
+      SEARCH_KEY_PATHS.some(
+        (searchPath) =>
+          path === searchPath ||
+          path.startsWith(`${searchPath}.`) ||
+          searchPath.startsWith(`${path}.`)
+      )
+    );
+  });
+
+// Writes that bypass save() rebuild the keys of the orders they touch,
+// read back once the update has run
+const SEARCH_KEY_UPDATE_OPS = ["updateOne", "updateMany", "findOneAndUpdate"];
+
+orderSchema.pre(SEARCH_KEY_UPDATE_OPS, async function () {
+  if (!touchesSearchKeys(this.getUpdate())) return;
+
+  const matching = this.model.find(this.getFilter()).select("_id").lean();
+  if (this.op !== "updateMany") matching.limit(1);
+  this._searchKeyOrderIds = (await matching).map((order) => order._id);
+});
+
+orderSchema.post(SEARCH_KEY_UPDATE_OPS, async function () {
+  if (this._searchKeyOrderIds?.length) {
+    await this.model.refreshSearchKeys(this._searchKeyOrderIds);
+  }
+});
+
+// Reserve stock for an order that does not hold any yet.
+// The stockReserved flag is claimed atomically so parallel requests
+// can never deduct the same order twice.
+orderSchema.methods.reserveStock = async function () {
+  const claimed = await this.constructor.updateOne(
+    { _id: this._id, stockReserved: { $ne: true } },
+    { $set: { stockReserved: true } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  try {
+    await reserveItems(this.items);
+  } catch (error) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { stockReserved: false } }
+    );
+    throw error;
+  }
+
+  this.set("stockReserved", true);
+  this.unmarkModified("stockReserved");
+  return true;
+};
+
+// Put reserved stock back (only once per reservation)
+orderSchema.methods.releaseStock = async function () {
+  const released = await this.constructor.updateOne(
+    { _id: this._id, stockReserved: true },
+    { $set: { stockReserved: false } }
+  );
+  if (released.modifiedCount === 0) return false;
+
+  // Units received through a return were either restocked then or kept out
+  // of stock (damaged); neither must be added here
+  const received = this.getReturnedQuantities({ receivedOnly: true });
+  await releaseItems(
+    this.items.map((item) => ({
+      productId: item.productId,
+      name: item.name,
+      quantity: item.quantity - (received[item._id.toString()] || 0),
+    }))
+  );
+
+  this.set("stockReserved", false);
+  this.unmarkModified("stockReserved");
+  return true;
+};
+
+// Quantities per order item (_id) covered by returns that were not rejected
+// (options.receivedOnly: only returns whose items are back with us)
+orderSchema.methods.getReturnedQuantities = function (options = {}) {
+  const quantities = {};
+
+  (this.returns || []).forEach((ret) => {
+    if (ret.status === "rejected") return;
+    if (options.receivedOnly && ret.status !== "received") return;
+
+    ret.items.forEach((item) => {
+      const key = item.orderItemId.toString();
+      quantities[key] = (quantities[key] || 0) + item.quantity;
+    });
+  });
+
+  return quantities;
+};
+
+// Amount that can still be refunded
+// Money actually received: COD orders only count the cash that was collected
+orderSchema.methods.getPaidAmount = function () {
+  return this.payment?.cod?.collectedAmount ?? this.payment?.amount ?? 0;
+};
+
+orderSchema.methods.getRefundableAmount = function () {
+  const paid = this.getPaidAmount();
+  const refunded = this.payment?.refundedAmount || 0;
+  return Math.max(0, Math.round((paid - refunded) * 100) / 100);
+};
+
+// Cash on Delivery orders skip payment_submitted and are paid at the door
+orderSchema.methods.isCashOnDelivery = function () {
+  return this.payment?.method === "COD";
+};
+
+const codError = (message) => {
+  const error = new Error(message);
+  error.code = "INVALID_COD_COLLECTION";
+  return error;
+};
+
+/**
+ * Reconcile the cash collected for a COD order against the amount due.
+ * Without an amount (e.g. a courier delivery webhook) the order waits for
+ * an admin to count the cash. Does not save.
+ * @param {object} [collection] - { amount, reference, collectedBy, collectedAt }
+ * @param {object} [options] - { actor }
+ */
+orderSchema.methods.recordCodCollection = function (
+  collection = {},
+  options = {}
+) {
+  if (!this.isCashOnDelivery()) {
+    throw codError("This order is not a Cash on Delivery order");
+  }
+  if (!this.payment.cod) {
+    this.payment.cod = { expectedAmount: this.total };
+  }
+  const cod = this.payment.cod;
+
+  if (cod.status === "refused") {
+    throw codError("The customer refused this delivery");
+  }
+
+  if (collection.amount == null || collection.amount === "") {
+    if (cod.status === "pending") {
+      cod.status = "awaiting_reconciliation";
+    }
+    return cod;
+  }
+
+  const amount = Math.round(Number(collection.amount) * 100) / 100;
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw codError("Collected amount must be a positive number");
+  }
+
+  const actorName = options.actor?.name || options.actor?.id || "admin";
+  const due = cod.expectedAmount || this.total;
+  const shortfall = Math.round((due - amount) * 100) / 100;
+
+  cod.collectedAmount = amount;
+  cod.shortfall = Math.max(0, shortfall);
+  cod.status = shortfall > 0.01 ? "short_collected" : "collected";
+  cod.collectedAt = collection.collectedAt
+    ? new Date(collection.collectedAt)
+    : cod.collectedAt || new Date();
+  cod.collectedBy = collection.collectedBy || cod.collectedBy || actorName;
+  cod.reference = collection.reference || cod.reference;
+  cod.reconciledAt = new Date();
+  cod.reconciledBy = actorName;
+
+  // Cash in hand is a verified payment (refunds depend on this)
+  if (cod.status === "collected") {
+    this.payment.paymentStatus = "verified";
+    this.payment.verifiedAt = cod.reconciledAt;
+    this.payment.verifiedBy = actorName;
+    this.payment.verificationNotes = `Cash collected on delivery${
+      cod.reference ? ` (${cod.reference})` : ""
+    }`;
+  } else {
+    this.payment.verificationNotes = `Cash short by Rs. ${cod.shortfall}`;
+  }
+
+  return cod;
+};
+
+// Record that the customer refused a COD parcel. Does not save.
+orderSchema.methods.markCodRefused = function (reason = "") {
+  if (!this.isCashOnDelivery()) {
+    throw codError("This order is not a Cash on Delivery order");
+  }
+  if (!this.payment.cod) {
+    this.payment.cod = { expectedAmount: this.total };
+  }
+  const cod = this.payment.cod;
+
+  if (["collected", "short_collected"].includes(cod.status)) {
+    throw codError("Cash has already been collected for this order");
+  }
+
+  if (cod.status !== "refused") {
+    cod.status = "refused";
+    cod.refusedAt = new Date();
+  }
+  cod.refusalReason = reason || cod.refusalReason;
+  return cod;
+};
+
+// Whether every unit of every line has been received back
+orderSchema.methods.isFullyReturned = function () {
+  const received = {};
+  (this.returns || [])
+    .filter((ret) => ret.status === "received")
+    .forEach((ret) =>
+      ret.items.forEach((item) => {
+        const key = item.orderItemId.toString();
+        received[key] = (received[key] || 0) + item.quantity;
+      })
+    );
+
+  return this.items.every(
+    (item) => (received[item._id.toString()] || 0) >= item.quantity
+  );
+};
+
+// Keep reserved stock in line with the order's current status
+orderSchema.methods.syncStock = function () {
+  if (STOCK_RELEASE_STATUSES.includes(this.status)) {
+    return this.releaseStock();
+  }
+  if (STOCK_HOLD_STATUSES.includes(this.status)) {
+    return this.reserveStock();
+  }
+  return Promise.resolve(false);
+};
+
+// Check a status change against the transition graph
+orderSchema.methods.canTransitionTo = function (newStatus) {
+  return canTransition(this.status, newStatus);
+};
+
+// Enhanced status update method - the only place order status should change.
+// additionalData.actor ({ type, id, name }) and additionalData.note are
+// recorded in statusHistory. additionalData.expect (a filter such as
+// { status: "pending" }) saves only if the stored order still matches it;
+// otherwise nothing is written and an ORDER_CHANGED error is thrown.
+orderSchema.methods.updateStatus = async function (
+  newStatus,
+  additionalData = {}
+) {
+  const previousStatus = this.status;
+  const isStepBack =
+    additionalData[SHIPMENT_STEP_BACK] === true &&
+    canStepBack(previousStatus, newStatus);
+
+  if (!canTransition(previousStatus, newStatus) && !isStepBack) {
+    const error = new Error(
+      `Cannot change order status from '${previousStatus}' to '${newStatus}'`
+    );
+    error.code = "INVALID_STATUS_TRANSITION";
+    error.allowedStatuses = STATUS_TRANSITIONS[previousStatus] || [];
+    throw error;
+  }
+
+  // Fail before changing anything if confirming would oversell
+  if (STOCK_HOLD_STATUSES.includes(newStatus)) {
+    await this.reserveStock();
+  }
+
+  // Count COD cash first so a bad amount leaves the order untouched
+  if (newStatus === "delivered" && this.isCashOnDelivery()) {
+    this.recordCodCollection(additionalData.codCollection, {
+      actor: additionalData.actor,
+    });
+  }
+
+  const now = new Date();
   this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    previousStatus,
+    timestamp: now,
+    actor: additionalData.actor || { type: "system", name: "System" },
+    note: additionalData.note || "",
+  });
 
   switch (newStatus) {
     case "payment_submitted":
@@ -371,10 +1073,11 @@ orderSchema.methods.updateStatus = function (newStatus, additionalData = {}) {
         this.payment.paymentStatus = "pending_verification";
         this.payment.submittedAt = new Date();
         this.payment.transactionId = additionalData.paymentInfo.transactionId;
-        this.payment.screenshot = additionalData.paymentInfo.screenshot;
+        this.payment.screenshotFile = additionalData.paymentInfo.screenshotFile;
         this.payment.upiId = additionalData.paymentInfo.upiId;
         this.payment.ipAddress = additionalData.paymentInfo.ipAddress;
         this.payment.userAgent = additionalData.paymentInfo.userAgent;
+        this.payment.risk = additionalData.paymentInfo.risk;
       }
       break;
 
@@ -398,30 +1101,400 @@ orderSchema.methods.updateStatus = function (newStatus, additionalData = {}) {
       }
       break;
 
+    case "partially_shipped":
+      this.shippedAt = this.shippedAt || now;
+      break;
+
     case "shipped":
       this.shippedAt = new Date();
       if (additionalData.trackingNumber) {
         this.trackingNumber = additionalData.trackingNumber;
       }
+      // Whatever has not gone out in a parcel yet ships now in one
+      this.addRemainingItemsShipment({
+        courier: additionalData.courier,
+        trackingNumber: additionalData.trackingNumber,
+        shippedAt: now,
+        createdBy: additionalData.actor?.name,
+      });
       break;
 
     case "delivered":
       this.deliveredAt = new Date();
+      this.getActiveShipments().forEach((shipment) => {
+        if (shipment.status !== "delivered") {
+          shipment.status = "delivered";
+          shipment.deliveredAt = now;
+        }
+      });
+      break;
+
+    case "cancelled":
+      this.cancelledAt = now;
+      if (additionalData.note) {
+        this.cancellationReason = additionalData.note;
+      }
+      if (additionalData.actor) {
+        this.cancelledBy = additionalData.actor.type;
+      }
+      break;
+
+    case "returned":
+      if (additionalData.note) {
+        this.returnReason = additionalData.note;
+      }
       break;
   }
 
-  return this.save();
+  this.$where = additionalData.expect;
+  try {
+    await this.save();
+  } catch (saveError) {
+    if (
+      additionalData.expect &&
+      (saveError instanceof mongoose.Error.DocumentNotFoundError ||
+        saveError instanceof mongoose.Error.VersionError)
+    ) {
+      const error = new Error(
+        `Order ${this.orderNumber} changed before it could move to '${newStatus}'`
+      );
+      error.code = "ORDER_CHANGED";
+      throw error;
+    }
+    throw saveError;
+  } finally {
+    this.$where = undefined;
+  }
+  await this.syncStock();
+
+  // The sale is made: the invoice is numbered in this financial year
+  if (newStatus === "confirmed") {
+    await issueInvoiceOnConfirm(this);
+  }
+  return this;
+};
+
+// Parcels that were not cancelled
+orderSchema.methods.getActiveShipments = function () {
+  return this.shipments.filter((shipment) => shipment.status !== "cancelled");
+};
+
+// Units of each order line already packed into shipments
+orderSchema.methods.getShippedQuantities = function () {
+  const shipped = {};
+  this.getActiveShipments().forEach((shipment) => {
+    shipment.items.forEach((item) => {
+      const key = item.orderItemId.toString();
+      shipped[key] = (shipped[key] || 0) + item.quantity;
+    });
+  });
+  return shipped;
+};
+
+// Order lines with units that have not shipped yet
+orderSchema.methods.getUnshippedItems = function () {
+  const shipped = this.getShippedQuantities();
+  return this.items
+    .map((item) => ({
+      orderItemId: item._id,
+      productId: item.productId,
+      name: item.name,
+      quantity: item.quantity - (shipped[item._id.toString()] || 0),
+    }))
+    .filter((item) => item.quantity > 0);
+};
+
+// Status implied by the shipments, or null if nothing has shipped
+orderSchema.methods.getShipmentStatus = function () {
+  if (this.shipments.length === 0) return null;
+
+  const active = this.getActiveShipments();
+  // Every parcel was cancelled: back to packing
+  if (active.length === 0) return "processing";
+  if (this.getUnshippedItems().length > 0) return "partially_shipped";
+  return active.every((shipment) => shipment.status === "delivered")
+    ? "delivered"
+    : "shipped";
+};
+
+orderSchema.methods.addRemainingItemsShipment = function (details = {}) {
+  const remaining = this.getUnshippedItems();
+  if (remaining.length === 0) return null;
+
+  this.shipments.push({
+    courier: details.courier || "",
+    trackingNumber: details.trackingNumber || this.trackingNumber || "",
+    items: remaining,
+    shippedAt: details.shippedAt || new Date(),
+    createdBy: details.createdBy || null,
+  });
+  return this.shipments[this.shipments.length - 1];
+};
+
+/**
+ * Add a parcel and move the order along with it.
+ * @param {object} details - courier, trackingNumber, trackingUrl, items
+ *   ([{ orderItemId, quantity }], defaults to everything unshipped),
+ *   shippedAt, notes, courierReference/courierStatus (courier bookings)
+ * @param {object} options - { actor }
+ */
+// Check a parcel can be added and resolve its lines (all unshipped items
+// when none are given). Throws INVALID_SHIPMENT; changes nothing, so it can
+// run before booking a courier.
+orderSchema.methods.resolveShipmentItems = function (requestedItems) {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.code = "INVALID_SHIPMENT";
+    return error;
+  };
+
+  if (!["processing", "partially_shipped", "confirmed"].includes(this.status)) {
+    throw invalid(`Cannot add a shipment to an order that is '${this.status}'`);
+  }
+
+  const unshipped = this.getUnshippedItems();
+  let items = unshipped;
+
+  if (Array.isArray(requestedItems) && requestedItems.length > 0) {
+    items = requestedItems.map((requested) => {
+      const line = unshipped.find(
+        (item) => item.orderItemId.toString() === String(requested.orderItemId)
+      );
+      const quantity = parseInt(requested.quantity);
+
+      if (!line) {
+        throw invalid(
+          `Item ${requested.orderItemId} is not in this order or has already shipped`
+        );
+      }
+      if (isNaN(quantity) || quantity <= 0 || quantity > line.quantity) {
+        throw invalid(
+          `Invalid quantity for ${line.name}. Up to ${line.quantity} left to ship.`
+        );
+      }
+      return { ...line, quantity };
+    });
+  }
+
+  if (items.length === 0) {
+    throw invalid("Every item in this order has already shipped");
+  }
+  return items;
+};
+
+orderSchema.methods.addShipment = async function (details, options = {}) {
+  const items = this.resolveShipmentItems(details.items);
+
+  const actor = options.actor || { type: "system", name: "System" };
+  this.shipments.push({
+    courier: details.courier || "",
+    trackingNumber: details.trackingNumber || "",
+    trackingUrl: details.trackingUrl || "",
+    items,
+    shippedAt: details.shippedAt ? new Date(details.shippedAt) : new Date(),
+    notes: details.notes || "",
+    createdBy: actor.name || null,
+    courierReference: details.courierReference || null,
+    courierStatus: details.courierStatus || null,
+  });
+  const shipment = this.shipments[this.shipments.length - 1];
+
+  // Latest tracking number stays on the order for older clients
+  if (shipment.trackingNumber) {
+    this.trackingNumber = shipment.trackingNumber;
+  }
+
+  await this.syncShipmentStatus({
+    actor,
+    note: `Parcel shipped${shipment.courier ? ` via ${shipment.courier}` : ""}${
+      shipment.trackingNumber ? ` (${shipment.trackingNumber})` : ""
+    }`,
+  });
+  return shipment;
+};
+
+orderSchema.methods.markShipmentDelivered = async function (
+  shipmentId,
+  options = {}
+) {
+  const shipment = this.shipments.id(shipmentId);
+  if (!shipment) {
+    const error = new Error("Shipment not found");
+    error.code = "SHIPMENT_NOT_FOUND";
+    throw error;
+  }
+
+  if (shipment.status === "cancelled") {
+    const error = new Error("This parcel was cancelled");
+    error.code = "INVALID_SHIPMENT";
+    throw error;
+  }
+
+  if (shipment.status !== "delivered") {
+    shipment.status = "delivered";
+    shipment.deliveredAt = options.deliveredAt
+      ? new Date(options.deliveredAt)
+      : new Date();
+  }
+
+  await this.syncShipmentStatus({
+    actor: options.actor,
+    note: options.note || "All parcels delivered",
+  });
+  return shipment;
+};
+
+// Cancel a parcel that has not been delivered; its items can ship again
+orderSchema.methods.cancelShipment = async function (shipmentId, options = {}) {
+  const shipment = this.shipments.id(shipmentId);
+  if (!shipment) {
+    const error = new Error("Shipment not found");
+    error.code = "SHIPMENT_NOT_FOUND";
+    throw error;
+  }
+
+  if (shipment.status === "delivered") {
+    const error = new Error("A delivered parcel cannot be cancelled");
+    error.code = "INVALID_SHIPMENT";
+    throw error;
+  }
+
+  if (shipment.status !== "cancelled") {
+    shipment.status = "cancelled";
+    shipment.cancelledAt = new Date();
+  }
+
+  await this.syncShipmentStatus({
+    actor: options.actor,
+    note: options.note || "Parcel cancelled",
+  });
+  return shipment;
+};
+
+/**
+ * Record a normalised courier tracking event on a parcel and move the
+ * order along (delivered parcels, cancelled bookings). Duplicate events
+ * are ignored so webhook retries are harmless: by the courier's event id,
+ * else by status and time, else (no time sent) by status, description and
+ * location.
+ * @param {string} shipmentId
+ * @param {object} event - { eventId, status, description, location, occurredAt }
+ * @returns {Promise<boolean>} false if the event was a duplicate
+ */
+orderSchema.methods.applyCourierEvent = async function (
+  shipmentId,
+  event,
+  options = {}
+) {
+  const shipment = this.shipments.id(shipmentId);
+  if (!shipment) {
+    const error = new Error("Shipment not found");
+    error.code = "SHIPMENT_NOT_FOUND";
+    throw error;
+  }
+
+  const eventId = event.eventId ? String(event.eventId) : null;
+  const description = event.description || "";
+  const location = event.location || "";
+  const sentAt = event.occurredAt ? new Date(event.occurredAt) : null;
+
+  const duplicate = shipment.events.some((existing) => {
+    if (eventId) return existing.eventId === eventId;
+    if (existing.status !== event.status) return false;
+    return sentAt
+      ? existing.occurredAt?.getTime() === sentAt.getTime()
+      : existing.description === description && existing.location === location;
+  });
+  if (duplicate) return false;
+
+  // Without a courier timestamp, record when we heard about it
+  const occurredAt = sentAt || new Date();
+  shipment.events.push({
+    eventId,
+    status: event.status,
+    description,
+    location,
+    occurredAt,
+  });
+  shipment.courierStatus = event.status;
+
+  const note = `${shipment.courier || "Courier"}: ${
+    event.description || event.status
+  }`;
+
+  if (event.status === "picked_up") {
+    shipment.shippedAt = occurredAt;
+  }
+
+  // A COD parcel coming back means the customer refused it
+  if (
+    event.status === "returned_to_origin" &&
+    this.isCashOnDelivery() &&
+    (this.payment.cod?.status || "pending") === "pending"
+  ) {
+    this.markCodRefused(event.description || "Returned to origin by courier");
+  }
+
+  if (event.status === "delivered" && shipment.status === "shipped") {
+    await this.markShipmentDelivered(shipmentId, {
+      actor: options.actor,
+      deliveredAt: occurredAt,
+      note,
+    });
+  } else if (event.status === "cancelled" && shipment.status === "shipped") {
+    await this.cancelShipment(shipmentId, { actor: options.actor, note });
+  } else {
+    await this.save();
+  }
+
+  return true;
+};
+
+// Step the order status towards what its shipments imply, saving once done
+orderSchema.methods.syncShipmentStatus = async function (options = {}) {
+  const target = this.getShipmentStatus();
+  const path = ["processing", "partially_shipped", "shipped", "delivered"];
+
+  // Cancelled parcels: go straight back to what is still out
+  if (target && canStepBack(this.status, target)) {
+    await this.updateStatus(target, { ...options, [SHIPMENT_STEP_BACK]: true });
+  }
+
+  // Each step moves forward along the path, so this always ends
+  while (target && this.status !== target) {
+    const next = canTransition(this.status, target)
+      ? target
+      : path.find(
+          (status) =>
+            path.indexOf(status) > path.indexOf(this.status) &&
+            canTransition(this.status, status)
+        );
+    if (!next) break;
+    // Intermediate steps (e.g. processing) do not carry the parcel note
+    await this.updateStatus(
+      next,
+      next === target ? options : { actor: options.actor }
+    );
+  }
+
+  if (this.isModified()) {
+    await this.save();
+  }
+  return this;
 };
 
 // Method to submit payment for verification
 orderSchema.methods.submitPaymentForVerification = function (paymentData) {
   return this.updateStatus("payment_submitted", {
+    actor: paymentData.actor,
+    note: "Payment details submitted",
     paymentInfo: {
       transactionId: paymentData.transactionId,
-      screenshot: paymentData.screenshot,
+      screenshotFile: paymentData.screenshotFile,
       upiId: paymentData.upiId,
       ipAddress: paymentData.ipAddress,
       userAgent: paymentData.userAgent,
+      risk: paymentData.risk,
     },
   });
 };
@@ -430,6 +1503,8 @@ orderSchema.methods.submitPaymentForVerification = function (paymentData) {
 orderSchema.methods.verifyPayment = function (verified, adminData = {}) {
   const newStatus = verified ? "confirmed" : "payment_failed";
   return this.updateStatus(newStatus, {
+    actor: adminData.actor,
+    note: adminData.notes || "",
     paymentInfo: {
       notes: adminData.notes || "",
       verifiedBy: adminData.adminId,
@@ -438,6 +1513,24 @@ orderSchema.methods.verifyPayment = function (verified, adminData = {}) {
   });
 };
 
+// Rebuild searchKeys from the stored orders (bulkWrite runs no update hooks)
+orderSchema.statics.refreshSearchKeys = async function (orderIds) {
+  const orders = await this.find({ _id: { $in: orderIds } })
+    .select(SEARCH_KEY_PATHS.join(" "))
+    .lean();
+  if (orders.length === 0) return 0;
+
+  const result = await this.bulkWrite(
+    orders.map((order) => ({
+      updateOne: {
+        filter: { _id: order._id },
+        update: { $set: { searchKeys: buildSearchKeys(order) } },
+      },
+    }))
+  );
+  return result.modifiedCount;
+};
+
 // Check if transaction ID is already used
 orderSchema.statics.isTransactionIdUsed = async function (
   transactionId,
@@ -482,6 +1575,15 @@ orderSchema.statics.findPendingVerifications = function (options = {}) {
     .limit(limit);
 };
 
+// Find an order by its current or pre-migration order number
+orderSchema.statics.findByOrderNumber = function (orderNumber, filter = {}) {
+  const number = (orderNumber || "").toString().trim();
+  return this.findOne({
+    ...filter,
+    $or: [{ orderNumber: number }, { legacyOrderNumber: number }],
+  });
+};
+
 // Get order summary for user
 orderSchema.methods.getOrderSummary = function () {
   return {
@@ -494,6 +1596,8 @@ orderSchema.methods.getOrderSummary = function () {
     discount: this.discount,
     deliveryCharges: this.deliveryCharges,
     deliveryInfo: this.deliveryInfo,
+    tax: this.tax,
+    taxBreakdown: this.taxBreakdown,
     itemCount: this.items.length,
     paymentStatus: this.payment?.paymentStatus || "pending",
     items: this.items.map((item) => ({
@@ -502,6 +1606,9 @@ orderSchema.methods.getOrderSummary = function () {
       price: item.price,
       image: item.image,
       totalPrice: item.totalPrice,
+      hsnCode: item.hsnCode,
+      gstRate: item.gstRate,
+      taxAmount: item.taxAmount,
     })),
     shippingAddress: this.shippingAddress,
   };
@@ -542,9 +1649,30 @@ orderSchema.index({ orderNumber: 1 }, { unique: true });
 orderSchema.index({ status: 1 });
 orderSchema.index({ "payment.paymentStatus": 1 });
 orderSchema.index({ "payment.transactionId": 1 });
+orderSchema.index(
+  { "payment.reconciledReference": 1 },
+  { unique: true, sparse: true }
+);
 orderSchema.index({ "payment.submittedAt": -1 });
 orderSchema.index({ orderDate: -1 });
 orderSchema.index({ "deliveryInfo.isFreeDelivery": 1 });
+orderSchema.index({ "payment.refunds.refundedAt": -1 });
+orderSchema.index({ "payment.refunds.upiReference": 1 });
+orderSchema.index({ legacyOrderNumber: 1 }, { sparse: true });
+orderSchema.index({ "messages.sender.type": 1, "messages.readAt": 1 });
+orderSchema.index({ "shipments.trackingNumber": 1 });
+orderSchema.index({ "payment.razorpay.orderId": 1 }, { sparse: true });
+orderSchema.index({ "payment.razorpay.refundStatus": 1 }, { sparse: true });
+orderSchema.index({ "payment.screenshotFile.sha256": 1 }, { sparse: true });
+orderSchema.index({ "payment.ipAddress": 1, "payment.submittedAt": -1 });
+orderSchema.index({ "payment.upiId": 1 }, { sparse: true });
+orderSchema.index({ "payment.risk.score": -1, "payment.submittedAt": -1 });
+// Admin search: prefix regexes on searchKeys are index range scans
+orderSchema.index({ searchKeys: 1, orderDate: -1 });
+orderSchema.index(
+  { "invoice.number": 1 },
+  { unique: true, partialFilterExpression: { "invoice.number": { $type: "string" } } }
+);
 
 // Error handling middleware
 orderSchema.post("save", function (error, doc, next) {
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_GST_RATE, DEFAULT_HSN_CODE, GST_RATES } = require('../utils/gstCalculator');
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -37,6 +38,26 @@ const productSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // GST: HSN code and rate used on tax invoices (prices include GST)
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: DEFAULT_HSN_CODE,
+    validate: {
+      validator: function(v) {
+        return !v || /^\d{4}(\d{2})?(\d{2})?$/.test(v);
+      },
+      message: 'HSN code must be 4, 6 or 8 digits'
+    }
+  },
+  gstRate: {
+    type: Number,
+    default: DEFAULT_GST_RATE,
+    enum: {
+      values: GST_RATES,
+      message: 'GST rate must be one of ' + GST_RATES.join(', ')
+    }
+  },
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -104,6 +104,114 @@ const settingsSchema = new mongoose.Schema({
       default: true
     }
   },
+  orders: {
+    unpaidOrderExpiryHours: {
+      type: Number,
+      default: 48, // hours a pending order may wait for payment
+      min: 1,
+      max: 720
+    },
+    returnWindowDays: {
+      type: Number,
+      default: 7, // days after delivery a return can be requested
+      min: 0,
+      max: 90
+    }
+  },
+  delivery: {
+    dispatchCutoffTime: {
+      type: String,
+      default: '14:00', // IST; later orders are handled the next working day
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    handlingDays: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 10
+    },
+    transitDays: {
+      madhyaPradesh: {
+        min: { type: Number, default: 1, min: 0 },
+        max: { type: Number, default: 3, min: 0 }
+      },
+      restOfIndia: {
+        min: { type: Number, default: 3, min: 0 },
+        max: { type: Number, default: 7, min: 0 }
+      }
+    },
+    workingDays: {
+      type: [Number], // 0 = Sunday ... 6 = Saturday
+      default: [1, 2, 3, 4, 5, 6]
+    },
+    holidays: [{
+      type: String, // 'YYYY-MM-DD'
+      match: /^\d{4}-\d{2}-\d{2}$/
+    }]
+  },
+  cod: {
+    // Off until an admin turns Cash on Delivery on
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    fee: {
+      type: Number,
+      default: 49, // added to the delivery charges
+      min: 0
+    },
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    maxOrderValue: {
+      type: Number,
+      default: 10000, // 0 = no limit
+      min: 0
+    },
+    allowedPincodes: [{
+      type: String, // empty = every serviceable pincode
+      match: /^\d{6}$/
+    }],
+    blockedPincodes: [{
+      type: String,
+      match: /^\d{6}$/
+    }],
+    maxRecentRefusals: {
+      type: Number,
+      default: 0, // refused COD deliveries tolerated in the lookback window
+      min: 0
+    },
+    refusalLookbackDays: {
+      type: Number,
+      default: 180,
+      min: 1,
+      max: 730
+    }
+  },
+  invoice: {
+    businessName: {
+      type: String,
+      trim: true,
+      default: 'Lion Bidi'
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    address: {
+      type: String,
+      trim: true
+    },
+    prefix: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: 'LB' // Invoice numbers look like LB/2026-27/00001
+    }
+  },
   updatedBy: {
     type: String, // Admin username or ID
     required: true
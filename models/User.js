@@ -2,6 +2,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const { getBulkDiscountPercent } = require("../utils/orderPricing");
 
 // ================== Delivery Info Schema ==================
 const deliveryInfoSchema = new mongoose.Schema(
@@ -397,12 +398,8 @@ userSchema.methods.getCartSummary = function () {
     };
   });
 
-  // Bulk discount tiers
-  let bulkDiscountPercent = 0;
-  if (totalQuantity >= 50) bulkDiscountPercent = 20;
-  else if (totalQuantity >= 20) bulkDiscountPercent = 15;
-  else if (totalQuantity >= 10) bulkDiscountPercent = 10;
-  else if (totalQuantity >= 5) bulkDiscountPercent = 5;
+  // Bulk discount tiers (shared with server-side order pricing)
+  const bulkDiscountPercent = getBulkDiscountPercent(totalQuantity);
 
   const bulkDiscount = (subtotal * bulkDiscountPercent) / 100;
   const finalTotal = Math.max(0, subtotal - bulkDiscount);
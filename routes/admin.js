@@ -318,7 +318,7 @@ router.get('/dashboard', adminAuth, async (req, res) => {
       Order.aggregate([
         { 
           $match: { 
-            status: { $in: ['confirmed', 'shipped', 'delivered'] } 
+            status: { $in: ['confirmed', 'partially_shipped', 'shipped', 'delivered'] } 
           } 
         },
         { 
@@ -405,18 +405,20 @@ router.get('/dashboard', adminAuth, async (req, res) => {
 router.get('/orders', adminAuth, async (req, res) => {
   try {
     const Order = require('../models/Order');
-    const { page = 1, limit = 50, status, search } = req.query;
-
-    let query = {};
-    
-    if (status && status !== 'all') {
-      query.status = status;
-    }
-
-    if (search) {
-      query.$or = [
-        { orderNumber: { $regex: search, $options: 'i' } }
-      ];
+    const { buildOrderFilter } = require('../utils/orderFilters');
+    const { page = 1, limit = 50 } = req.query;
+
+    // status, paymentStatus, from, to, state, search (same as the export)
+    let query;
+    try {
+      query = buildOrderFilter(req.query);
+    } catch (filterError) {
+      if (filterError.code !== 'INVALID_FILTER') throw filterError;
+      return res.status(400).json({
+        success: false,
+        code: filterError.code,
+        message: filterError.message
+      });
     }
 
     const orders = await Order.find(query)
@@ -431,7 +433,8 @@ router.get('/orders', adminAuth, async (req, res) => {
     const transformedOrders = orders.map(order => ({
       ...order.toObject(),
       user: order.userId,
-      orderDate: order.orderDate || order.createdAt
+      orderDate: order.orderDate || order.createdAt,
+      lastStatusChange: order.statusHistory?.[order.statusHistory.length - 1] || null
     }));
 
     res.json({
@@ -457,7 +460,8 @@ router.get('/orders', adminAuth, async (req, res) => {
 router.put('/orders/:orderId/status', adminAuth, async (req, res) => {
   try {
     const Order = require('../models/Order');
-    const { status } = req.body;
+    const { getRequestActor } = require('../utils/orderStatus');
+    const { status, note, trackingNumber, codCollectedAmount, codReference } = req.body;
 
     const order = await Order.findById(req.params.orderId);
     if (!order) {
@@ -467,16 +471,14 @@ router.put('/orders/:orderId/status', adminAuth, async (req, res) => {
       });
     }
 
-    order.status = status;
-    order.statusHistory = order.statusHistory || [];
-    order.statusHistory.push({
-      status,
-      updatedBy: req.admin._id || req.admin.username,
-      updatedAt: new Date()
+    // Transition is validated and recorded in statusHistory by the model
+    await order.updateStatus(status, {
+      actor: getRequestActor(req),
+      note: note || '',
+      trackingNumber,
+      codCollection: { amount: codCollectedAmount, reference: codReference }
     });
 
-    await order.save();
-
     res.json({
       success: true,
       message: 'Order status updated successfully',
@@ -484,45 +486,32 @@ router.put('/orders/:orderId/status', adminAuth, async (req, res) => {
     });
   } catch (error) {
     console.error('Order status update error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update order status'
-    });
-  }
-});
-
-// When updating order status
-router.put('/orders/:orderId/status', adminAuth, async (req, res) => {
-  try {
-    const Order = require('../models/Order');
-    const { status } = req.body;
 
-    const order = await Order.findById(req.params.orderId);
-    if (!order) {
-      return res.status(404).json({
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(400).json({
         success: false,
-        message: 'Order not found'
+        code: error.code,
+        message: error.message,
+        allowedStatuses: error.allowedStatuses
       });
     }
 
-    const oldStatus = order.status;
-    order.status = status;
-    order.statusHistory = order.statusHistory || [];
-    order.statusHistory.push({
-      status,
-      updatedBy: req.admin._id || req.admin.username,
-      updatedAt: new Date()
-    });
+    if (error.code === 'INVALID_COD_COLLECTION') {
+      return res.status(400).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
 
-    await order.save();
+    if (error.code === 'INSUFFICIENT_STOCK') {
+      return res.status(409).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Order status updated successfully',
-      order
-    });
-  } catch (error) {
-    console.error('Order status update error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to update order status'
@@ -702,6 +691,36 @@ router.get('/settings', adminAuth, async (req, res) => {
           ifscCode: 'SBIN0123456',
           enableUPI: true,
           enableBankTransfer: true
+        },
+        orders: {
+          unpaidOrderExpiryHours: 48,
+          returnWindowDays: 7
+        },
+        delivery: {
+          dispatchCutoffTime: '14:00',
+          handlingDays: 1,
+          transitDays: {
+            madhyaPradesh: { min: 1, max: 3 },
+            restOfIndia: { min: 3, max: 7 }
+          },
+          workingDays: [1, 2, 3, 4, 5, 6],
+          holidays: []
+        },
+        cod: {
+          enabled: false,
+          fee: 49,
+          minOrderValue: 0,
+          maxOrderValue: 10000,
+          allowedPincodes: [],
+          blockedPincodes: [],
+          maxRecentRefusals: 0,
+          refusalLookbackDays: 180
+        },
+        invoice: {
+          businessName: 'Lion Bidi',
+          gstin: '',
+          address: '',
+          prefix: 'LB'
         }
       };
     }
@@ -825,7 +844,7 @@ router.get('/analytics', adminAuth, async (req, res) => {
       {
         $match: {
           orderDate: { $gte: startDate },
-          status: { $in: ['confirmed', 'shipped', 'delivered'] }
+          status: { $in: ['confirmed', 'partially_shipped', 'shipped', 'delivered'] }
         }
       },
       {
@@ -847,7 +866,7 @@ router.get('/analytics', adminAuth, async (req, res) => {
       {
         $match: {
           orderDate: { $gte: startDate },
-          status: { $in: ['confirmed', 'shipped', 'delivered'] }
+          status: { $in: ['confirmed', 'partially_shipped', 'shipped', 'delivered'] }
         }
       },
       { $unwind: '$items' },
@@ -887,7 +906,7 @@ router.get('/analytics', adminAuth, async (req, res) => {
       {
         $match: {
           orderDate: { $gte: startDate },
-          status: { $in: ['confirmed', 'shipped', 'delivered'] }
+          status: { $in: ['confirmed', 'partially_shipped', 'shipped', 'delivered'] }
         }
       },
       {
@@ -899,6 +918,31 @@ router.get('/analytics', adminAuth, async (req, res) => {
       }
     ]);
 
+    // Refunds paid out in the period
+    const refundTotals = await Order.aggregate([
+      { $match: { 'payment.refunds.refundedAt': { $gte: startDate } } },
+      { $unwind: '$payment.refunds' },
+      { $match: { 'payment.refunds.refundedAt': { $gte: startDate } } },
+      {
+        $group: {
+          _id: null,
+          totalRefunded: { $sum: '$payment.refunds.amount' },
+          refundCount: { $sum: 1 },
+          orders: { $addToSet: '$_id' }
+        }
+      }
+    ]);
+
+    const grossRevenue = salesData.reduce((sum, day) => sum + day.revenue, 0);
+    const totalRefunded = refundTotals[0]?.totalRefunded || 0;
+    const refundStats = {
+      totalRefunded,
+      refundCount: refundTotals[0]?.refundCount || 0,
+      ordersRefunded: refundTotals[0]?.orders.length || 0,
+      grossRevenue,
+      netRevenue: grossRevenue - totalRefunded
+    };
+
     res.json({
       success: true,
       data: {
@@ -906,6 +950,7 @@ router.get('/analytics', adminAuth, async (req, res) => {
         topProducts,
         userGrowth,
         paymentStats,
+        refundStats,
         period: daysBack
       }
     });
@@ -0,0 +1,275 @@
+//routes/bulkOrders.js - Verify payments and move many orders through the workflow at once
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const adminAuth = require("../middleware/adminAuth");
+const { sendOrderNotificationEmail } = require("../utils/emailService");
+const { getRequestActor } = require("../utils/orderStatus");
+
+const MAX_BULK_ORDERS = 200;
+
+// Bulk action -> what it does to each order
+const BULK_ACTIONS = {
+  verify: { status: "confirmed", label: "Payment verified" },
+  reject: { status: "cancelled", label: "Payment rejected" },
+  processing: { status: "processing", label: "Marked as processing" },
+  shipped: { status: "shipped", label: "Marked as shipped" },
+};
+
+// @desc    Apply one action to many orders (Admin only)
+// @route   POST /api/orders/admin/bulk
+// @access  Private (Admin only)
+//
+// Body: { action, orders, notes }
+//   action  verify | reject | processing | shipped
+//   orders  order ids, or { orderId, trackingNumber, courier } entries
+//           (tracking numbers are required to mark orders shipped)
+//   notes   required to reject; saved on the status history otherwise
+//
+// Every order is handled on its own: one failure does not stop the rest.
+router.post("/admin/bulk", adminAuth, async (req, res) => {
+  try {
+    const { action, notes } = req.body || {};
+    const entries = req.body?.orders || req.body?.orderIds;
+
+    if (!BULK_ACTIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown action '${action}'`,
+        allowedActions: Object.keys(BULK_ACTIONS),
+      });
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Select at least one order",
+      });
+    }
+
+    if (entries.length > MAX_BULK_ORDERS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_BULK_ORDERS} orders can be updated at once`,
+      });
+    }
+
+    if (action === "reject" && (!notes || !notes.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "Rejection reason is required when rejecting payment",
+      });
+    }
+
+    const actor = getRequestActor(req);
+    const seen = new Set();
+    const results = [];
+
+    // One at a time: status changes take or release stock
+    for (const entry of entries) {
+      const request =
+        typeof entry === "string" ? { orderId: entry } : entry || {};
+      const orderId = request.orderId ? String(request.orderId) : "";
+
+      if (seen.has(orderId)) {
+        results.push({
+          orderId,
+          success: false,
+          code: "DUPLICATE_ORDER",
+          message: "Order is listed more than once",
+        });
+        continue;
+      }
+      seen.add(orderId);
+
+      results.push(await applyBulkAction(action, request, notes, actor));
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    console.log(
+      `📋 Bulk ${action}: ${succeeded}/${results.length} order(s) updated by ${actor.name}`
+    );
+
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} order(s) updated`,
+      action,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+      },
+      results,
+    });
+  } catch (error) {
+    console.error("❌ Error applying bulk order action:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update orders",
+    });
+  }
+});
+
+// Apply an action to one order and email the customer. Never throws.
+async function applyBulkAction(action, request, notes, actor) {
+  const { orderId } = request;
+
+  try {
+    const order = orderId
+      ? await Order.findById(orderId).catch(() => null)
+      : null;
+    if (!order) {
+      return {
+        orderId,
+        success: false,
+        code: "ORDER_NOT_FOUND",
+        message: "Order not found",
+      };
+    }
+
+    const summary = { orderId: order._id, orderNumber: order.orderNumber };
+    const { status: nextStatus, label } = BULK_ACTIONS[action];
+
+    if (!order.canTransitionTo(nextStatus)) {
+      return {
+        ...summary,
+        success: false,
+        code: "INVALID_STATUS_TRANSITION",
+        message: `Cannot change order status from '${order.status}' to '${nextStatus}'`,
+        status: order.status,
+      };
+    }
+
+    // Only submitted payments can be judged (a pending order could be confirmed unpaid)
+    if (
+      (action === "verify" || action === "reject") &&
+      order.payment.paymentStatus !== "pending_verification"
+    ) {
+      return {
+        ...summary,
+        success: false,
+        code: "PAYMENT_NOT_PENDING_VERIFICATION",
+        message: `Payment is not awaiting verification (current: ${order.payment.paymentStatus})`,
+        status: order.status,
+      };
+    }
+
+    const trackingNumber = (request.trackingNumber || "").trim();
+    if (action === "shipped" && !trackingNumber) {
+      return {
+        ...summary,
+        success: false,
+        code: "TRACKING_NUMBER_REQUIRED",
+        message: "Tracking number is required to mark an order shipped",
+        status: order.status,
+      };
+    }
+
+    const note = (notes || "").trim();
+
+    if (action === "verify" || action === "reject") {
+      // Same rules as POST /:orderId/admin/verify-payment
+      const verified = action === "verify";
+      order.payment.verificationDate = new Date();
+      order.payment.verifiedBy = actor.id;
+      order.payment.verifiedAt = new Date();
+      order.payment.paymentStatus = verified ? "verified" : "verification_failed";
+      order.payment.verificationNotes = verified
+        ? note || "Payment verified by admin"
+        : note;
+
+      await order.updateStatus(nextStatus, {
+        actor,
+        note: verified
+          ? order.payment.verificationNotes
+          : `Payment rejected: ${note}`,
+      });
+    } else {
+      await order.updateStatus(nextStatus, {
+        actor,
+        note,
+        trackingNumber: trackingNumber || undefined,
+        courier: (request.courier || "").trim() || undefined,
+      });
+    }
+
+    const emailSent = await sendBulkActionEmail(action, order, note);
+
+    return {
+      ...summary,
+      success: true,
+      message: label,
+      status: order.status,
+      paymentStatus: order.payment.paymentStatus,
+      emailSent,
+    };
+  } catch (error) {
+    console.error(`❌ Bulk ${action} failed for order ${orderId}:`, error.message);
+    return {
+      orderId,
+      success: false,
+      code: error.code,
+      message: error.message,
+      allowedStatuses: error.allowedStatuses,
+    };
+  }
+}
+
+// Customer email for the action. Returns whether it was sent.
+async function sendBulkActionEmail(action, order, note) {
+  const trackingUrl = `${
+    process.env.FRONTEND_URL || "http://localhost:3000"
+  }/orders/${order._id}/track`;
+  const base = {
+    customerName: order.shippingAddress.name,
+    orderNumber: order.orderNumber,
+    amount: order.total,
+    orderDate: order.orderDate || order.createdAt,
+    items: order.items,
+  };
+
+  const emails = {
+    verify: () => [
+      "order_confirmed",
+      { ...base, shippingAddress: order.shippingAddress, trackingUrl },
+    ],
+    reject: () => [
+      "payment_failed",
+      {
+        ...base,
+        reason: note || "Payment verification failed",
+        retryUrl: `${
+          process.env.FRONTEND_URL || "http://localhost:3000"
+        }/orders/${order._id}`,
+      },
+    ],
+    processing: () => [
+      "order_status_update",
+      { ...base, orderStatus: "processing", trackingUrl },
+    ],
+    shipped: () => [
+      "order_status_update",
+      {
+        ...base,
+        orderStatus: "shipped",
+        trackingNumber: order.trackingNumber,
+        courier: order.shipments[order.shipments.length - 1]?.courier,
+        trackingUrl,
+      },
+    ],
+  };
+
+  try {
+    const [template, data] = emails[action]();
+    await sendOrderNotificationEmail(order.shippingAddress.email, template, data);
+    return true;
+  } catch (error) {
+    console.error(
+      `Failed to send ${action} email for order ${order.orderNumber}:`,
+      error.message
+    );
+    return false;
+  }
+}
+
+module.exports = router;
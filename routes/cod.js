@@ -0,0 +1,194 @@
+//routes/cod.js - Cash on Delivery eligibility and cash reconciliation
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const auth = require("../middleware/auth");
+const adminAuth = require("../middleware/adminAuth");
+const { getRequestActor } = require("../utils/orderStatus");
+const { checkCodEligibility, COD_METHOD } = require("../utils/codEligibility");
+
+// @desc    Check whether Cash on Delivery is available at checkout
+// @route   POST /api/orders/cod/eligibility
+// @access  Private
+router.post("/cod/eligibility", auth, async (req, res) => {
+  try {
+    const { pincode, orderAmount } = req.body;
+
+    if (!pincode) {
+      return res.status(400).json({
+        success: false,
+        message: "Pincode is required",
+      });
+    }
+
+    const eligibility = await checkCodEligibility({
+      userId: req.user._id,
+      pincode,
+      orderValue: parseFloat(orderAmount) || 0,
+    });
+
+    res.json({
+      success: true,
+      ...eligibility,
+    });
+  } catch (error) {
+    console.error("❌ Error checking COD eligibility:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check Cash on Delivery availability",
+    });
+  }
+});
+
+// @desc    List delivered COD orders whose cash is not fully reconciled (Admin only)
+// @route   GET /api/orders/admin/cod/unreconciled
+// @access  Private (Admin only)
+router.get("/admin/cod/unreconciled", adminAuth, async (req, res) => {
+  try {
+    const orders = await Order.find({
+      "payment.method": COD_METHOD,
+      "payment.cod.status": { $in: ["awaiting_reconciliation", "short_collected"] },
+    })
+      .select("orderNumber status total deliveredAt shippingAddress.name payment.cod")
+      .sort({ deliveredAt: 1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      orders,
+      totalDue: orders.reduce(
+        (sum, order) =>
+          sum +
+          (order.payment.cod.status === "short_collected"
+            ? order.payment.cod.shortfall
+            : order.payment.cod.expectedAmount),
+        0
+      ),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching unreconciled COD orders:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch COD orders",
+    });
+  }
+});
+
+// @desc    Record the cash collected for a delivered COD order (Admin only)
+// @route   PUT /api/orders/:orderId/admin/cod/reconcile
+// @access  Private (Admin only)
+router.put("/:orderId/admin/cod/reconcile", adminAuth, async (req, res) => {
+  try {
+    const { collectedAmount, reference, collectedBy, collectedAt } = req.body;
+
+    if (collectedAmount == null || collectedAmount === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Collected amount is required",
+      });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.status !== "delivered") {
+      return res.status(400).json({
+        success: false,
+        code: "INVALID_COD_COLLECTION",
+        message: "Cash can only be reconciled once the order is delivered",
+      });
+    }
+
+    const cod = order.recordCodCollection(
+      { amount: collectedAmount, reference, collectedBy, collectedAt },
+      { actor: getRequestActor(req) }
+    );
+    await order.save();
+
+    console.log(
+      `💵 COD cash for ${order.orderNumber}: Rs. ${cod.collectedAmount} (${cod.status})`
+    );
+
+    res.json({
+      success: true,
+      message:
+        cod.status === "collected"
+          ? "Cash reconciled"
+          : `Cash is short by Rs. ${cod.shortfall}`,
+      cod,
+      paymentStatus: order.payment.paymentStatus,
+    });
+  } catch (error) {
+    if (error.code === "INVALID_COD_COLLECTION") {
+      return res.status(400).json({
+        success: false,
+        code: error.code,
+        message: error.message,
+      });
+    }
+
+    console.error("❌ Error reconciling COD cash:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reconcile cash",
+    });
+  }
+});
+
+// @desc    Record that the customer refused a COD parcel (Admin only)
+// @route   PUT /api/orders/:orderId/admin/cod/refused
+// @access  Private (Admin only)
+router.put("/:orderId/admin/cod/refused", adminAuth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const reason = (req.body.reason || "").toString().trim();
+    const cod = order.markCodRefused(reason || "Customer refused delivery");
+
+    // A refused parcel comes back; returning the order releases its stock
+    if (order.canTransitionTo("returned")) {
+      await order.updateStatus("returned", {
+        actor: getRequestActor(req),
+        note: `COD delivery refused${reason ? `: ${reason}` : ""}`,
+      });
+    } else {
+      await order.save();
+    }
+
+    console.log(`🚫 COD delivery refused for ${order.orderNumber}`);
+
+    res.json({
+      success: true,
+      message: "Refused delivery recorded",
+      cod,
+      status: order.status,
+    });
+  } catch (error) {
+    if (error.code === "INVALID_COD_COLLECTION") {
+      return res.status(400).json({
+        success: false,
+        code: error.code,
+        message: error.message,
+      });
+    }
+
+    console.error("❌ Error recording refused COD delivery:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record refused delivery",
+    });
+  }
+});
+
+module.exports = router;
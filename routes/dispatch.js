@@ -0,0 +1,122 @@
+//routes/dispatch.js - Printable packing slips and shipping labels for a batch of orders
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const adminAuth = require("../middleware/adminAuth");
+const { getRequestActor } = require("../utils/orderStatus");
+const { getSellerDetails } = require("../utils/invoiceGenerator");
+const {
+  renderDispatchPdf,
+  DISPATCHABLE_STATUSES,
+} = require("../utils/dispatchDocuments");
+
+const MAX_DISPATCH_ORDERS = 100;
+
+// @desc    Packing slips and address labels for many orders as one PDF (Admin only)
+// @route   POST /api/orders/admin/dispatch/labels
+// @access  Private (Admin only)
+//
+// Body: { orderIds, markProcessing }
+//   markProcessing  move confirmed orders to 'processing' once the PDF is built
+//
+// The response is the PDF. With markProcessing, the X-Orders-Processing header
+// counts the orders moved and X-Orders-Not-Moved lists any that could not be.
+router.post("/admin/dispatch/labels", adminAuth, async (req, res) => {
+  try {
+    const { orderIds } = req.body || {};
+    // Only an explicit true (or "true" from a form post); "false" must not count
+    const markProcessing = [true, "true"].includes(req.body?.markProcessing);
+
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Select at least one order",
+      });
+    }
+
+    const uniqueIds = [...new Set(orderIds.map(String))];
+    if (uniqueIds.length > MAX_DISPATCH_ORDERS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_DISPATCH_ORDERS} orders can be printed at once`,
+      });
+    }
+
+    const orders = await Promise.all(
+      uniqueIds.map((orderId) => Order.findById(orderId).catch(() => null))
+    );
+
+    // Print nothing unless the whole selection is ready to pack
+    const notFound = uniqueIds.filter((orderId, index) => !orders[index]);
+    const notReady = orders
+      .filter((order) => order && !DISPATCHABLE_STATUSES.includes(order.status))
+      .map((order) => ({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+      }));
+
+    if (notFound.length > 0 || notReady.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${DISPATCHABLE_STATUSES.join(" or ")} orders can be packed`,
+        notFound,
+        notReady,
+      });
+    }
+
+    const seller = await getSellerDetails();
+    const buffer = await renderDispatchPdf(orders, seller);
+
+    const moved = [];
+    const notMoved = [];
+    if (markProcessing) {
+      const actor = getRequestActor(req);
+      for (const order of orders) {
+        if (order.status !== "confirmed") continue;
+        try {
+          await order.updateStatus("processing", {
+            actor,
+            note: "Packing slip and label printed",
+          });
+          moved.push(order.orderNumber);
+        } catch (statusError) {
+          console.error(
+            `❌ Could not move ${order.orderNumber} to processing:`,
+            statusError.message
+          );
+          notMoved.push(order.orderNumber);
+        }
+      }
+    }
+
+    console.log(
+      `🏷️ Dispatch documents for ${orders.length} order(s)${
+        markProcessing ? `, ${moved.length} moved to processing` : ""
+      }`
+    );
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="dispatch-${new Date()
+        .toISOString()
+        .slice(0, 10)}.pdf"`,
+      "Content-Length": buffer.length,
+    });
+    if (markProcessing) {
+      res.set({
+        "X-Orders-Processing": String(moved.length),
+        "X-Orders-Not-Moved": notMoved.join(","),
+      });
+    }
+    res.send(buffer);
+  } catch (error) {
+    console.error("❌ Error generating dispatch documents:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate packing slips and labels",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+//routes/files.js - Serve stored files through signed, expiring URLs
+const express = require("express");
+const router = express.Router();
+const { getStorageBackend, verifySignedUrl } = require("../utils/storage");
+const { detectAttachmentType } = require("../utils/messageAttachments");
+
+// @desc    Download a stored file (links come from createSignedUrl)
+// @route   GET /api/files/:storage/:key?expires=...&signature=...
+// @access  Public (the signature is the credential)
+router.get("/:storage/:key", async (req, res) => {
+  const { storage, key } = req.params;
+  const { expires, signature } = req.query;
+
+  if (!verifySignedUrl({ storage, key, expires, signature })) {
+    return res.status(403).json({
+      success: false,
+      message: "This link is invalid or has expired",
+    });
+  }
+
+  const backend = getStorageBackend(storage);
+  if (!backend) {
+    return res.status(404).json({
+      success: false,
+      message: "File not found",
+    });
+  }
+
+  try {
+    const data = await backend.read(key);
+    const secondsLeft = Math.max(0, parseInt(expires) - Math.floor(Date.now() / 1000));
+
+    res.set({
+      "Content-Type": detectAttachmentType(data) || "application/octet-stream",
+      "Cache-Control": `private, max-age=${secondsLeft}`,
+      "X-Content-Type-Options": "nosniff",
+    });
+    res.send(data);
+  } catch (error) {
+    if (["FILE_NOT_FOUND", "INVALID_STORAGE_KEY"].includes(error.code)) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found",
+      });
+    }
+
+    console.error("❌ Error reading stored file:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to read file",
+    });
+  }
+});
+
+module.exports = router;
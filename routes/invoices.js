@@ -0,0 +1,97 @@
+//routes/invoices.js - GST tax invoice PDFs
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const auth = require("../middleware/auth");
+const adminAuth = require("../middleware/adminAuth");
+const { generateInvoice, canIssueInvoice } = require("../utils/invoiceGenerator");
+
+// @desc    Download the tax invoice for an order
+// @route   GET /api/orders/:orderId/invoice.pdf
+// @access  Private
+router.get("/:orderId/invoice.pdf", auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    await sendInvoice(res, order);
+  } catch (error) {
+    if (error.code === "INVOICE_PENDING") {
+      return res.status(409).json({
+        success: false,
+        code: error.code,
+        message: error.message,
+      });
+    }
+    console.error("❌ Error generating invoice:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate invoice",
+    });
+  }
+});
+
+// @desc    Download the tax invoice for any order (Admin only)
+// @route   GET /api/orders/:orderId/admin/invoice.pdf
+// @access  Private (Admin only)
+router.get("/:orderId/admin/invoice.pdf", adminAuth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    await sendInvoice(res, order);
+  } catch (error) {
+    if (error.code === "INVOICE_PENDING") {
+      return res.status(409).json({
+        success: false,
+        code: error.code,
+        message: error.message,
+      });
+    }
+    console.error("❌ Error generating invoice:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate invoice",
+    });
+  }
+});
+
+async function sendInvoice(res, order) {
+  if (!canIssueInvoice(order)) {
+    return res.status(400).json({
+      success: false,
+      message: `An invoice is available once the order is confirmed (current status: ${order.status})`,
+    });
+  }
+
+  const { buffer, filename, invoice } = await generateInvoice(order);
+  console.log(`🧾 Invoice ${invoice.number} generated for order ${order.orderNumber}`);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Content-Length": buffer.length,
+  });
+  res.send(buffer);
+}
+
+module.exports = router;
@@ -0,0 +1,416 @@
+//routes/messages.js - Customer <-> admin message thread per order
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const auth = require("../middleware/auth");
+const adminAuth = require("../middleware/adminAuth");
+const { sendOrderNotificationEmail } = require("../utils/emailService");
+const { getRequestActor } = require("../utils/orderStatus");
+const multer = require("multer");
+const {
+  storeMessageAttachment,
+  removeMessageAttachment,
+  getMessageAttachmentUrl,
+  MAX_ATTACHMENT_BYTES,
+} = require("../utils/messageAttachments");
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_ATTACHMENTS = 3;
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS },
+});
+
+// Optional multipart 'files'; JSON requests pass straight through
+function uploadAttachments(req, res, next) {
+  attachmentUpload.array("files", MAX_ATTACHMENTS)(req, res, (error) => {
+    if (!error) return next();
+    res.status(400).json({
+      success: false,
+      message:
+        error.code === "LIMIT_FILE_SIZE"
+          ? "Each attachment must be smaller than 5 MB"
+          : error.code === "LIMIT_FILE_COUNT" || error.code === "LIMIT_UNEXPECTED_FILE"
+            ? `You can attach up to ${MAX_ATTACHMENTS} files`
+            : error.message,
+    });
+  });
+}
+
+// @desc    Get the message thread for an order (marks admin replies as read)
+// @route   GET /api/orders/:orderId/messages
+// @access  Private
+router.get("/:orderId/messages", auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select(
+      "userId orderNumber messages"
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const messages = await markThreadRead(order, "admin");
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      messages: messages.map(formatMessage),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching messages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch messages",
+    });
+  }
+});
+
+// @desc    Post a message on an order
+// @route   POST /api/orders/:orderId/messages
+// @access  Private
+router.post("/:orderId/messages", auth, uploadAttachments, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select(
+      "userId orderNumber shippingAddress"
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const sender = {
+      type: "customer",
+      id: req.user._id.toString(),
+      name: req.user.name || order.shippingAddress.name,
+    };
+
+    await postMessage(req, res, order, sender);
+  } catch (error) {
+    console.error("❌ Error posting message:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send message",
+    });
+  }
+});
+
+// @desc    List orders with unread customer messages (Admin only)
+// @route   GET /api/orders/admin/messages/unread
+// @access  Private (Admin only)
+router.get("/admin/messages/unread", adminAuth, async (req, res) => {
+  try {
+    const orders = await Order.find({
+      messages: {
+        $elemMatch: { "sender.type": "customer", readAt: null },
+      },
+    })
+      .select("orderNumber status shippingAddress.name messages")
+      .sort({ updatedAt: -1 })
+      .limit(100);
+
+    const threads = orders.map((order) => {
+      const unread = order.messages.filter(
+        (message) => message.sender.type === "customer" && !message.readAt
+      );
+      return {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        customerName: order.shippingAddress?.name,
+        unreadCount: unread.length,
+        lastMessage: formatMessage(unread[unread.length - 1]),
+      };
+    });
+
+    res.json({
+      success: true,
+      threads,
+      totalUnread: threads.reduce((sum, thread) => sum + thread.unreadCount, 0),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching unread messages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch unread messages",
+    });
+  }
+});
+
+// @desc    Get the message thread for an order (Admin only, marks customer messages as read)
+// @route   GET /api/orders/:orderId/admin/messages
+// @access  Private (Admin only)
+router.get("/:orderId/admin/messages", adminAuth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select(
+      "orderNumber messages"
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const messages = await markThreadRead(order, "customer");
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      messages: messages.map(formatMessage),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching messages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch messages",
+    });
+  }
+});
+
+// @desc    Reply to the customer on an order (Admin only)
+// @route   POST /api/orders/:orderId/admin/messages
+// @access  Private (Admin only)
+router.post("/:orderId/admin/messages", adminAuth, uploadAttachments, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select(
+      "orderNumber shippingAddress"
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const actor = getRequestActor(req);
+    const sender = {
+      type: "admin",
+      id: actor.id,
+      name: actor.name || "Lion Bidi",
+    };
+
+    await postMessage(req, res, order, sender);
+  } catch (error) {
+    console.error("❌ Error posting admin message:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send message",
+    });
+  }
+});
+
+// Validate, append and notify the other side
+//
+// Files come as multipart 'files' and are kept in file storage; JSON
+// 'attachments' may only be http(s) links.
+async function postMessage(req, res, order, sender) {
+  const { body: text, message: legacyText, attachments: links = [] } = req.body || {};
+  const body = (text ?? legacyText ?? "").toString().trim();
+  const files = req.files || [];
+
+  const linkError = validateLinks(links);
+  if (linkError) {
+    return res.status(400).json({
+      success: false,
+      message: linkError,
+    });
+  }
+
+  if (links.length + files.length > MAX_ATTACHMENTS) {
+    return res.status(400).json({
+      success: false,
+      message: `You can attach up to ${MAX_ATTACHMENTS} files`,
+    });
+  }
+
+  if (!body && links.length + files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Message cannot be empty",
+    });
+  }
+
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Message cannot exceed ${MAX_MESSAGE_LENGTH} characters`,
+    });
+  }
+
+  const stored = [];
+  const removeStored = () =>
+    Promise.all(
+      stored.map(({ file }) =>
+        removeMessageAttachment(file).catch((error) =>
+          console.error("Failed to remove message attachment:", error.message)
+        )
+      )
+    );
+
+  try {
+    for (const file of files) {
+      stored.push({
+        file: await storeMessageAttachment(order._id, file.buffer),
+        name: (file.originalname || "").slice(0, 200),
+      });
+    }
+  } catch (error) {
+    await removeStored();
+    if (error.code === "INVALID_ATTACHMENT") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+
+  const message = {
+    sender,
+    body: body || "📎 Attachment",
+    attachments: [
+      ...links.map((link) => ({
+        url: link.url,
+        name: (link.name || "").toString().slice(0, 200),
+      })),
+      ...stored,
+    ],
+  };
+
+  let updated;
+  try {
+    updated = await Order.findByIdAndUpdate(
+      order._id,
+      { $push: { messages: message } },
+      { new: true, runValidators: true }
+    ).select("messages");
+  } catch (error) {
+    await removeStored();
+    throw error;
+  }
+
+  const saved = updated.messages[updated.messages.length - 1];
+  console.log(`💬 ${sender.type} message on order ${order.orderNumber}`);
+
+  await sendMessageEmail(order, saved);
+
+  res.status(201).json({
+    success: true,
+    message: "Message sent",
+    data: formatMessage(saved),
+  });
+}
+
+function validateLinks(links) {
+  if (!Array.isArray(links)) {
+    return "Attachments must be a list of links";
+  }
+
+  for (const link of links) {
+    if (typeof link?.url !== "string" || !/^https?:\/\//.test(link.url)) {
+      return "Attach files as uploads; only http(s) links can be sent as JSON";
+    }
+  }
+
+  return null;
+}
+
+// Stored files are shown through short-lived signed URLs
+function formatMessage(message) {
+  if (!message) return message;
+  const data = message.toObject ? message.toObject() : message;
+
+  return {
+    ...data,
+    attachments: (data.attachments || []).map(({ file, url, name }) =>
+      file
+        ? {
+            name,
+            url: getMessageAttachmentUrl(file)?.url,
+            contentType: file.contentType,
+            size: file.size,
+          }
+        : { name, url }
+    ),
+  };
+}
+
+// Read receipts: stamp unread messages from the other side
+async function markThreadRead(order, fromSenderType) {
+  const hasUnread = order.messages.some(
+    (message) => message.sender.type === fromSenderType && !message.readAt
+  );
+  if (!hasUnread) return order.messages;
+
+  const readAt = new Date();
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { "messages.$[unread].readAt": readAt } },
+    {
+      arrayFilters: [
+        { "unread.sender.type": fromSenderType, "unread.readAt": null },
+      ],
+    }
+  );
+
+  order.messages.forEach((message) => {
+    if (message.sender.type === fromSenderType && !message.readAt) {
+      message.readAt = readAt;
+    }
+  });
+  return order.messages;
+}
+
+async function sendMessageEmail(order, message) {
+  const isForAdmin = message.sender.type === "customer";
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+
+  try {
+    await sendOrderNotificationEmail(
+      isForAdmin
+        ? process.env.ADMIN_EMAIL || process.env.EMAIL_USER
+        : order.shippingAddress.email,
+      "order_message",
+      {
+        orderNumber: order.orderNumber,
+        customerName: order.shippingAddress.name,
+        customerEmail: order.shippingAddress.email,
+        senderName: message.sender.name,
+        message: message.body,
+        attachmentCount: message.attachments.length,
+        isForAdmin,
+        messageUrl: isForAdmin
+          ? `${frontendUrl}/admin/orders/${order._id}`
+          : `${frontendUrl}/orders/${order._id}`,
+      }
+    );
+  } catch (error) {
+    console.error("Failed to send message notification email:", error.message);
+  }
+}
+
+module.exports = router;
@@ -5,8 +5,73 @@ const Order = require("../models/Order");
 const User = require("../models/User");
 const auth = require("../middleware/auth");
 const adminAuth = require("../middleware/adminAuth");
+const idempotency = require("../middleware/idempotency");
 const { sendOrderNotificationEmail } = require("../utils/emailService");
+const Product = require("../models/Product");
+const {
+  priceOrder,
+  comparePricing,
+  isValidObjectId,
+  roundAmount,
+} = require("../utils/orderPricing");
+const { reserveItems, releaseItems } = require("../utils/stockManager");
+const { assessPaymentRisk, withRelatedOrders } = require("../utils/paymentRisk");
+const {
+  checkCodEligibility,
+  getCodSettings,
+  isCodMethod,
+  COD_METHOD,
+} = require("../utils/codEligibility");
+const { buildTimeline, getRequestActor } = require("../utils/orderStatus");
+const { buildOrderFilter } = require("../utils/orderFilters");
+const {
+  parseSearchTerms,
+  buildOrderSearchFilter,
+  rankOrders,
+  MIN_TERM_LENGTH,
+} = require("../utils/orderSearch");
+const {
+  streamOrderExport,
+  EXPORT_FORMATS,
+  EXPORT_LAYOUTS,
+} = require("../utils/orderExport");
 const nodemailer = require("nodemailer");
+const multer = require("multer");
+const {
+  storePaymentScreenshot,
+  removePaymentScreenshot,
+  getPaymentScreenshotUrl,
+  MAX_SCREENSHOT_BYTES,
+} = require("../utils/paymentScreenshots");
+
+// Newest matching orders ranked per admin search
+const SEARCH_CANDIDATE_LIMIT = 200;
+
+const screenshotUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SCREENSHOT_BYTES, files: 1 },
+});
+
+// Optional multipart 'screenshot' file; JSON requests pass straight through
+function uploadScreenshot(req, res, next) {
+  screenshotUpload.single("screenshot")(req, res, (error) => {
+    if (!error) return next();
+    res.status(400).json({
+      success: false,
+      message:
+        error.code === "LIMIT_FILE_SIZE"
+          ? "Screenshot must be smaller than 5 MB"
+          : error.message,
+    });
+  });
+}
+
+// The customer's view of an order: fraud scoring stays with the admins
+function toCustomerOrder(order) {
+  const data = order.toJSON();
+  if (data.payment) delete data.payment.risk;
+  return data;
+}
 
 // Get pending payment verifications (Admin only)
 router.get("/admin/pending-verifications", adminAuth, async (req, res) => {
@@ -16,17 +81,25 @@ router.get("/admin/pending-verifications", adminAuth, async (req, res) => {
     const pendingOrders = await Order.find({
       "payment.paymentStatus": "pending_verification",
     })
+      .select("+payment.risk")
       .populate("userId", "name email phone") // Populate user data
-      .sort({ "payment.submittedAt": -1 });
+      // Riskiest first; unscored (older) submissions sort last
+      .sort({ "payment.risk.score": -1, "payment.submittedAt": -1 });
 
     console.log(`📊 Found ${pendingOrders.length} pending verifications`);
 
+    const risks = await withRelatedOrders(
+      pendingOrders.map((order) => order.payment?.risk)
+    );
+
     // Transform the data to match frontend expectations
-    const transformedOrders = pendingOrders.map((order) => ({
+    const transformedOrders = pendingOrders.map((order, index) => ({
       ...order.toObject(),
       user: order.userId, // ✅ Map userId to user for frontend compatibility
       orderNumber: order.orderNumber,
       orderDate: order.orderDate || order.createdAt,
+      paymentScreenshot: getPaymentScreenshotUrl(order.payment?.screenshotFile),
+      risk: risks[index],
     }));
 
     res.json({
@@ -48,10 +121,9 @@ router.get("/admin/pending-verifications", adminAuth, async (req, res) => {
 // @access  Private (Admin only)
 router.get("/:orderId/admin", adminAuth, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.orderId).populate(
-      "userId",
-      "name email phone"
-    ); // Populate user data for admin
+    const order = await Order.findById(req.params.orderId)
+      .select("+payment.risk")
+      .populate("userId", "name email phone"); // Populate user data for admin
 
     if (!order) {
       return res.status(404).json({
@@ -64,6 +136,9 @@ router.get("/:orderId/admin", adminAuth, async (req, res) => {
     const transformedOrder = {
       ...order.toObject(),
       user: order.userId, // Map userId to user for frontend compatibility
+      timeline: buildTimeline(order),
+      paymentScreenshot: getPaymentScreenshotUrl(order.payment?.screenshotFile),
+      risk: (await withRelatedOrders([order.payment?.risk]))[0],
     };
 
     res.json({
@@ -80,13 +155,49 @@ router.get("/:orderId/admin", adminAuth, async (req, res) => {
   }
 });
 
+// @desc    Get a fresh time-limited link to the payment screenshot (Admin only)
+// @route   GET /api/orders/:orderId/admin/payment-screenshot
+// @access  Private (Admin only)
+router.get("/:orderId/admin/payment-screenshot", adminAuth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select(
+      "orderNumber payment.screenshotFile"
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const screenshot = getPaymentScreenshotUrl(order.payment?.screenshotFile);
+    if (!screenshot) {
+      return res.status(404).json({
+        success: false,
+        message: "No payment screenshot was uploaded for this order",
+      });
+    }
+
+    res.json({
+      success: true,
+      screenshot,
+    });
+  } catch (error) {
+    console.error("❌ Error creating screenshot link:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get payment screenshot",
+    });
+  }
+});
+
 router.put("/:orderId/cancel", auth, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const userId = req.user.id;
 
     // Find the order
-    const order = await Order.findById(orderId).populate("user");
+    const order = await Order.findById(orderId);
 
     if (!order) {
       return res.status(404).json({
@@ -96,7 +207,7 @@ router.put("/:orderId/cancel", auth, async (req, res) => {
     }
 
     // Verify order belongs to the user
-    if (order.user._id.toString() !== userId) {
+    if (order.userId.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: "Unauthorized to cancel this order",
@@ -112,12 +223,11 @@ router.put("/:orderId/cancel", auth, async (req, res) => {
       });
     }
 
-    // Update order status to cancelled
-    order.status = "cancelled";
-    order.cancelledAt = new Date();
-    order.cancellationReason = req.body.reason || "Cancelled by customer";
-
-    await order.save();
+    // Update order status to cancelled (releases reserved stock)
+    await order.updateStatus("cancelled", {
+      actor: getRequestActor(req),
+      note: req.body.reason || "Cancelled by customer",
+    });
 
     // Optional: Handle refund logic here if payment was processed
     // This depends on your payment gateway integration
@@ -125,10 +235,11 @@ router.put("/:orderId/cancel", auth, async (req, res) => {
     res.json({
       success: true,
       message: "Order cancelled successfully",
-      order: order,
+      order: toCustomerOrder(order),
     });
   } catch (error) {
     console.error("Error cancelling order:", error);
+    if (sendStatusError(res, error)) return;
     res.status(500).json({
       success: false,
       message: "Failed to cancel order",
@@ -165,12 +276,10 @@ router.put("/:orderId/admin/cancel", adminAuth, async (req, res) => {
       });
     }
 
-    order.status = "cancelled";
-    order.cancelledAt = new Date();
-    order.cancellationReason = reason || "Cancelled by admin";
-    order.cancelledBy = "admin";
-
-    await order.save();
+    await order.updateStatus("cancelled", {
+      actor: getRequestActor(req),
+      note: reason || "Cancelled by admin",
+    });
 
     res.json({
       success: true,
@@ -179,6 +288,7 @@ router.put("/:orderId/admin/cancel", adminAuth, async (req, res) => {
     });
   } catch (error) {
     console.error("Error cancelling order (admin):", error);
+    if (sendStatusError(res, error)) return;
     res.status(500).json({
       success: false,
       message: "Failed to cancel order",
@@ -189,7 +299,7 @@ router.put("/:orderId/admin/cancel", adminAuth, async (req, res) => {
 // @desc    Create new order from cart/checkout
 // @route   POST /api/orders/create
 // @access  Private
-router.post("/create", auth, async (req, res) => {
+router.post("/create", auth, idempotency("order-create"), async (req, res) => {
   try {
     console.log("📦 Creating new order for user:", req.user._id);
     console.log("Request body:", JSON.stringify(req.body, null, 2));
@@ -199,7 +309,6 @@ router.post("/create", auth, async (req, res) => {
       shippingAddress,
       paymentMethod = "UPI",
       deliveryCharges,
-      deliveryInfo,
     } = req.body;
 
     // Enhanced validation
@@ -250,47 +359,70 @@ router.post("/create", auth, async (req, res) => {
       }
     }
 
-    // Validate and sanitize cart items
-    const processedItems = cartData.items.map((item, index) => {
-      if (!item.name || !item.price || !item.quantity) {
-        throw new Error(
-          `Item at index ${index} is missing required fields (name, price, quantity)`
-        );
-      }
-
-      const price = parseFloat(item.price);
-      const quantity = parseInt(item.quantity);
+    const pincode = shippingAddress.zipCode.toString().replace(/\D/g, "");
+    const isCod = isCodMethod(paymentMethod);
+    const codSettings = isCod ? await getCodSettings() : null;
+
+    // Price every line on the server (never trust client prices)
+    const pricing = await priceOrder({
+      items: cartData.items,
+      user: req.user,
+      pincode,
+      state: shippingAddress.state,
+      codFee: isCod ? codSettings.fee : 0,
+    });
 
-      if (isNaN(price) || price <= 0) {
-        throw new Error(`Invalid price for item: ${item.name}`);
-      }
+    if (isCod) {
+      const eligibility = await checkCodEligibility({
+        userId: req.user._id,
+        pincode,
+        orderValue: pricing.subtotal - pricing.discount,
+        settings: codSettings,
+      });
 
-      if (isNaN(quantity) || quantity <= 0) {
-        throw new Error(`Invalid quantity for item: ${item.name}`);
+      if (!eligibility.eligible) {
+        return res.status(400).json({
+          success: false,
+          code: "COD_NOT_AVAILABLE",
+          message: eligibility.reasons[0].message,
+          reasons: eligibility.reasons,
+        });
       }
+    }
 
-      return {
-        productId: item.id || item._id || null,
-        name: item.name.toString().trim(),
-        price: price,
-        quantity: quantity,
-        image: item.image || null,
-        totalPrice: price * quantity,
-      };
-    });
-
-    // Calculate totals
-    const calculatedSubtotal = processedItems.reduce(
-      (sum, item) => sum + item.totalPrice,
-      0
+    // Reject if the totals the customer saw differ from the server's
+    const mismatch = comparePricing(
+      {
+        subtotal: cartData.subtotal,
+        discount: cartData.savings ?? cartData.discount,
+        deliveryCharges,
+        total: cartData.total ?? req.body.total,
+      },
+      pricing
     );
-    const discount =
-      parseFloat(cartData.savings) || parseFloat(cartData.discount) || 0;
-    const finalDeliveryCharges = parseFloat(deliveryCharges) || 0;
-    const providedTotal = calculatedSubtotal - discount + finalDeliveryCharges;
 
-    // Validate totals
-    if (providedTotal <= 0) {
+    if (mismatch) {
+      console.log("⚠️ Client pricing mismatch:", JSON.stringify(mismatch));
+      return res.status(409).json({
+        success: false,
+        code: "PRICE_MISMATCH",
+        message:
+          "Prices in your cart have changed. Please review the updated totals and place the order again.",
+        ...mismatch,
+        pricing: {
+          items: pricing.items,
+          subtotal: pricing.subtotal,
+          discount: pricing.discount,
+          deliveryCharges: pricing.deliveryCharges,
+          codFee: pricing.codFee,
+          tax: pricing.tax,
+          taxBreakdown: pricing.taxBreakdown,
+          total: pricing.total,
+        },
+      });
+    }
+
+    if (pricing.total <= 0) {
       return res.status(400).json({
         success: false,
         message: "Order total must be greater than 0",
@@ -303,13 +435,15 @@ router.post("/create", auth, async (req, res) => {
       userName: req.user.name || shippingAddress.name,
       userEmail: req.user.email || shippingAddress.email,
       userPhone: req.user.phone || shippingAddress.phone,
-      items: processedItems,
-      subtotal: calculatedSubtotal,
-      discount: discount,
-      deliveryCharges: deliveryCharges || 0,
-      deliveryInfo: deliveryInfo || null,
-      total: providedTotal,
-      orderNumber: `LB${Date.now()}${Math.floor(Math.random() * 1000)}`,
+      items: pricing.items,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      deliveryCharges: pricing.deliveryCharges,
+      deliveryInfo: pricing.deliveryInfo,
+      tax: pricing.tax,
+      taxBreakdown: pricing.taxBreakdown,
+      total: pricing.total,
+      stockReserved: true,
       orderDate: new Date(),
       shippingAddress: {
         name: shippingAddress.name.toString().trim(),
@@ -322,19 +456,47 @@ router.post("/create", auth, async (req, res) => {
         country: shippingAddress.country || "India",
       },
       payment: {
-        method: paymentMethod,
-        amount: providedTotal,
+        method: isCod ? COD_METHOD : paymentMethod,
+        amount: pricing.total,
         paymentStatus: "pending",
+        // Cash is counted against this when the order is delivered
+        ...(isCod
+          ? { cod: { fee: pricing.codFee, expectedAmount: pricing.total } }
+          : {}),
       },
       status: "pending",
+      statusHistory: [
+        {
+          status: "pending",
+          timestamp: new Date(),
+          actor: getRequestActor(req),
+          note: "Order placed",
+        },
+      ],
     };
 
     console.log("Processed order data:", JSON.stringify(orderData, null, 2));
 
-    // Create order
-    const order = await Order.create(orderData);
+    // Take the stock before the order exists so parallel checkouts cannot oversell
+    await reserveItems(pricing.items);
+
+    let order;
+    try {
+      order = await Order.create(orderData);
+    } catch (createError) {
+      await releaseItems(pricing.items);
+      throw createError;
+    }
     console.log("Order created successfully in database:", order._id);
 
+    // COD orders are paid at the door, so there is no payment to submit
+    if (isCod) {
+      await order.updateStatus("confirmed", {
+        actor: getRequestActor(req),
+        note: "Cash on Delivery order",
+      });
+    }
+
     // Add order to user's orders array (optional, handle gracefully if fails)
     try {
       const user = await User.findById(req.user._id);
@@ -363,7 +525,7 @@ router.post("/create", auth, async (req, res) => {
           customerName: order.shippingAddress.name,
           customerEmail: order.shippingAddress.email,
           amount: order.total,
-          transactionId: "Pending verification",
+          transactionId: isCod ? "Cash on Delivery" : "Pending verification",
           orderDate: order.orderDate || order.createdAt,
           items: order.items.map((item) => ({
             name: item.name,
@@ -395,6 +557,9 @@ router.post("/create", auth, async (req, res) => {
         discount: order.discount,
         deliveryCharges: order.deliveryCharges,
         deliveryInfo: order.deliveryInfo,
+        codFee: order.deliveryInfo?.codFee || 0,
+        tax: order.tax,
+        taxBreakdown: order.taxBreakdown,
         status: order.status,
         orderDate: order.orderDate || order.createdAt,
         items: order.items,
@@ -421,6 +586,21 @@ router.post("/create", auth, async (req, res) => {
       });
     }
 
+    // Handle pricing errors (unknown items, stock)
+    if (
+      ["INVALID_ITEM", "ITEM_UNAVAILABLE", "INSUFFICIENT_STOCK"].includes(
+        error.code
+      )
+    ) {
+      return res.status(error.code === "INVALID_ITEM" ? 400 : 409).json({
+        success: false,
+        code: error.code,
+        message: error.message,
+        productId: error.productId,
+        available: error.available,
+      });
+    }
+
     // Handle custom thrown errors
     if (
       error.message.includes("Invalid") ||
@@ -505,6 +685,9 @@ router.delete("/:orderId", auth, async (req, res) => {
     const orderNumber = order.orderNumber;
     const customerName = order.shippingAddress?.name || "Unknown";
 
+    // Put any reserved stock back before the order disappears
+    await order.releaseStock();
+
     // Delete the order
     await Order.findByIdAndDelete(orderId);
 
@@ -589,15 +772,19 @@ router.get("/admin/all", adminAuth, async (req, res) => {
   try {
     console.log("✅ Admin requesting all orders");
 
-    const { page = 1, limit = 50, status, search } = req.query;
-    let query = {};
-
-    if (status && status !== "all") {
-      query.status = status;
-    }
+    const { page = 1, limit = 50 } = req.query;
 
-    if (search) {
-      query.$or = [{ orderNumber: { $regex: search, $options: "i" } }];
+    // status, paymentStatus, from, to, state, search
+    let query;
+    try {
+      query = buildOrderFilter(req.query);
+    } catch (filterError) {
+      if (filterError.code !== "INVALID_FILTER") throw filterError;
+      return res.status(400).json({
+        success: false,
+        code: filterError.code,
+        message: filterError.message,
+      });
     }
 
     const orders = await Order.find(query)
@@ -614,6 +801,7 @@ router.get("/admin/all", adminAuth, async (req, res) => {
       user: order.userId, // ✅ Map userId to user for frontend compatibility
       orderNumber: order.orderNumber,
       orderDate: order.orderDate || order.createdAt,
+      lastStatusChange: order.statusHistory?.[order.statusHistory.length - 1] || null,
     }));
 
     res.json({
@@ -635,13 +823,168 @@ router.get("/admin/all", adminAuth, async (req, res) => {
   }
 });
 
+// @desc    Export orders as CSV or Excel (Admin only)
+// @route   GET /api/orders/admin/export?format=csv|xlsx&rows=orders|items
+// @access  Private (Admin only)
+// Takes the same filters as /admin/all and streams the file.
+router.get("/admin/export", adminAuth, async (req, res) => {
+  const format = (req.query.format || "csv").toLowerCase();
+  const layout = (req.query.rows || "orders").toLowerCase();
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+
+  if (!EXPORT_LAYOUTS.includes(layout)) {
+    return res.status(400).json({
+      success: false,
+      message: `Rows must be one of: ${EXPORT_LAYOUTS.join(", ")}`,
+    });
+  }
+
+  let filter;
+  try {
+    filter = buildOrderFilter(req.query);
+  } catch (filterError) {
+    return res.status(400).json({
+      success: false,
+      code: filterError.code,
+      message: filterError.message,
+    });
+  }
+
+  const filename = `orders-${layout === "items" ? "items-" : ""}${new Date()
+    .toISOString()
+    .slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+  res.set({
+    "Content-Type": EXPORT_FORMATS[format].contentType,
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Cache-Control": "no-store",
+  });
+
+  try {
+    console.log(`📤 Admin exporting orders as ${format} (${layout})`);
+    const count = await streamOrderExport(filter, res, { format, layout });
+    console.log(`✅ Exported ${count} orders`);
+  } catch (error) {
+    if (error.code === "EXPORT_ABORTED") {
+      console.log("⚠️ Order export cancelled by client");
+      return;
+    }
+
+    console.error("❌ Error exporting orders:", error);
+    // Part of the file may already be sent; cut it off so it is not mistaken for complete
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to export orders",
+    });
+  }
+});
+
+// @desc    Search orders by number, customer, phone, transaction ID, pincode or tracking number (Admin only)
+// @route   GET /api/orders/admin/search?q=...&limit=20
+// @access  Private (Admin only)
+// Terms match as prefixes; the list filters (status, paymentStatus, from, to,
+// state) narrow the results. Best matches come first.
+router.get("/admin/search", adminAuth, async (req, res) => {
+  try {
+    const { q, search, ...filters } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const terms = parseSearchTerms(q);
+
+    if (terms.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Enter at least ${MIN_TERM_LENGTH} characters to search`,
+      });
+    }
+
+    let filter;
+    try {
+      filter = buildOrderFilter(filters);
+    } catch (filterError) {
+      if (filterError.code !== "INVALID_FILTER") throw filterError;
+      return res.status(400).json({
+        success: false,
+        code: filterError.code,
+        message: filterError.message,
+      });
+    }
+
+    // Rank the newest matches; a broad prefix can match thousands of orders
+    const candidates = await Order.find({
+      ...filter,
+      ...buildOrderSearchFilter(q),
+    })
+      .select(
+        "orderNumber legacyOrderNumber orderDate createdAt status total userName userEmail userPhone shippingAddress payment.method payment.paymentStatus payment.transactionId payment.razorpay.paymentId trackingNumber shipments.trackingNumber"
+      )
+      .sort({ orderDate: -1 })
+      .limit(SEARCH_CANDIDATE_LIMIT)
+      .lean();
+
+    const results = rankOrders(candidates, terms)
+      .slice(0, limit)
+      .map(({ order, score, matchedOn }) => ({
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        legacyOrderNumber: order.legacyOrderNumber,
+        orderDate: order.orderDate || order.createdAt,
+        status: order.status,
+        total: order.total,
+        customer: {
+          name: order.shippingAddress?.name || order.userName,
+          email: order.shippingAddress?.email || order.userEmail,
+          phone: order.shippingAddress?.phone || order.userPhone,
+        },
+        pincode: order.shippingAddress?.zipCode,
+        payment: {
+          method: order.payment?.method,
+          paymentStatus: order.payment?.paymentStatus,
+          transactionId: order.payment?.transactionId,
+        },
+        trackingNumbers: [
+          order.trackingNumber,
+          ...(order.shipments || []).map((shipment) => shipment.trackingNumber),
+        ].filter((value, index, all) => value && all.indexOf(value) === index),
+        score,
+        matchedOn,
+      }));
+
+    console.log(`🔎 Admin search "${q}": ${candidates.length} match(es)`);
+
+    res.json({
+      success: true,
+      query: q,
+      terms,
+      results,
+      // More orders matched than were ranked; narrow the search or filters
+      truncated: candidates.length === SEARCH_CANDIDATE_LIMIT,
+    });
+  } catch (error) {
+    console.error("❌ Error searching orders:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to search orders",
+    });
+  }
+});
+
 // @desc    Confirm payment and update order status
 // @route   POST /api/orders/:orderId/confirm-payment
 // @access  Private
-router.post("/:orderId/confirm-payment", auth, async (req, res) => {
+router.post("/:orderId/confirm-payment", auth, uploadScreenshot, idempotency("order-confirm-payment"), async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { transactionId, screenshot, upiId } = req.body;
+    const { transactionId, screenshot, upiId } = req.body || {};
 
     console.log("💰 Payment confirmation request:", {
       orderId,
@@ -708,6 +1051,13 @@ router.post("/:orderId/confirm-payment", auth, async (req, res) => {
       });
     }
 
+    if (!order.canTransitionTo("payment_submitted")) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment cannot be submitted for an order with status '${order.status}'`,
+      });
+    }
+
     // Check if transaction ID already used (if you have this method)
     try {
       if (typeof Order.isTransactionIdUsed === "function") {
@@ -730,19 +1080,74 @@ router.post("/:orderId/confirm-payment", auth, async (req, res) => {
       );
     }
 
-    // Update payment information
-    order.payment = {
-      ...order.payment,
-      transactionId: cleanTransactionId,
-      screenshot: screenshot || null,
-      upiId: upiId || null,
-      paymentStatus: "pending_verification",
-      submittedAt: new Date(),
-      ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get("User-Agent"),
-    };
+    // The image goes to file storage; the order keeps only a reference.
+    // Base64 in the JSON body is no longer accepted (see server.js body limit).
+    if (!req.file && screenshot) {
+      return res.status(400).json({
+        success: false,
+        message: "Upload the screenshot as a file (multipart field 'screenshot')",
+      });
+    }
+
+    let screenshotFile = null;
+    if (req.file) {
+      try {
+        screenshotFile = await storePaymentScreenshot(order._id, req.file.buffer);
+      } catch (screenshotError) {
+        if (screenshotError.code !== "INVALID_SCREENSHOT") throw screenshotError;
+        return res.status(400).json({
+          success: false,
+          message: screenshotError.message,
+        });
+      }
+    }
+    const previousScreenshot = order.payment.screenshotFile;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get("User-Agent");
 
-    await order.save();
+    // Fraud signals for the admin; a failed check never blocks the customer
+    let risk;
+    try {
+      risk = await assessPaymentRisk(order, {
+        transactionId: cleanTransactionId,
+        screenshotHash: screenshotFile?.sha256,
+        upiId,
+        ipAddress,
+        userAgent,
+      });
+      if (risk.level !== "low") {
+        console.log(
+          `🚩 Payment for ${order.orderNumber} scored ${risk.score} (${risk.signals
+            .map((signal) => signal.code)
+            .join(", ")})`
+        );
+      }
+    } catch (riskError) {
+      console.error("Could not assess payment risk:", riskError.message);
+    }
+
+    // Update payment information and move the order to payment_submitted
+    try {
+      await order.submitPaymentForVerification({
+        transactionId: cleanTransactionId,
+        screenshotFile,
+        upiId: upiId || null,
+        ipAddress,
+        userAgent,
+        risk,
+        actor: getRequestActor(req),
+      });
+    } catch (submitError) {
+      await removePaymentScreenshot(screenshotFile).catch(() => {});
+      throw submitError;
+    }
+
+    // A resubmission after a failed verification replaces the old image
+    if (previousScreenshot?.key && screenshotFile) {
+      removePaymentScreenshot(previousScreenshot).catch((removeError) =>
+        console.log("Note: Could not remove old screenshot:", removeError.message)
+      );
+    }
 
     try {
       await sendAdminVerificationNotification(order);
@@ -764,7 +1169,7 @@ router.post("/:orderId/confirm-payment", auth, async (req, res) => {
       success: true,
       message:
         "Payment details submitted successfully. We will verify your payment within 24 hours and send you a confirmation.",
-      order: order,
+      order: toCustomerOrder(order),
       orderNumber: order.orderNumber,
       requiresVerification: true,
     });
@@ -803,41 +1208,54 @@ router.post("/:orderId/admin/verify-payment", adminAuth, async (req, res) => {
       paymentStatus: order.payment?.paymentStatus
     });
 
-    if (verified) {
-      // VERIFY PAYMENT
-      order.payment.paymentStatus = "verified";
-      order.payment.verificationDate = new Date();
-      order.payment.verificationNotes = notes || "Payment verified by admin";
-      order.payment.verifiedBy = req.admin.id || req.admin.username || req.admin._id;
-      order.payment.verifiedAt = new Date();
-      
-      order.status = "confirmed";
-      order.confirmedAt = new Date();
-
-      console.log('✅ Verifying payment and confirming order');
-    } else {
-      // REJECT PAYMENT
-      if (!notes || !notes.trim()) {
-        return res.status(400).json({
-          success: false,
-          message: "Rejection reason is required when rejecting payment"
-        });
-      }
+    if (!verified && (!notes || !notes.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "Rejection reason is required when rejecting payment"
+      });
+    }
 
-      order.payment.paymentStatus = "verification_failed";
-      order.payment.verificationDate = new Date();
-      order.payment.verificationNotes = notes.trim();
-      order.payment.verifiedBy = req.admin.id || req.admin.username || req.admin._id;
-      order.payment.verifiedAt = new Date();
-      
-      order.status = "cancelled";
-      order.cancelledAt = new Date();
-      order.cancellationReason = `Payment rejected: ${notes}`;
-
-      console.log('❌ Rejecting payment and cancelling order');
+    const nextStatus = verified ? "confirmed" : "cancelled";
+    if (!order.canTransitionTo(nextStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot ${verified ? "verify" : "reject"} payment for an order with status '${order.status}'`
+      });
     }
 
-    await order.save();
+    const actor = getRequestActor(req);
+    order.payment.verificationDate = new Date();
+    order.payment.verifiedBy = actor.id;
+    order.payment.verifiedAt = new Date();
+
+    try {
+      if (verified) {
+        // VERIFY PAYMENT (takes stock for legacy orders that hold none)
+        order.payment.paymentStatus = "verified";
+        order.payment.verificationNotes = notes || "Payment verified by admin";
+
+        await order.updateStatus("confirmed", {
+          actor,
+          note: order.payment.verificationNotes,
+        });
+
+        console.log('✅ Verifying payment and confirming order');
+      } else {
+        // REJECT PAYMENT
+        order.payment.paymentStatus = "verification_failed";
+        order.payment.verificationNotes = notes.trim();
+
+        await order.updateStatus("cancelled", {
+          actor,
+          note: `Payment rejected: ${notes.trim()}`,
+        });
+
+        console.log('❌ Rejecting payment and cancelling order');
+      }
+    } catch (statusError) {
+      if (sendStatusError(res, statusError)) return;
+      throw statusError;
+    }
 
     console.log('Order updated successfully:', {
       orderId: order._id,
@@ -893,7 +1311,8 @@ router.post("/:orderId/admin/verify-payment", adminAuth, async (req, res) => {
 router.put("/:orderId/admin/update-status", adminAuth, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, note, trackingNumber, codCollectedAmount, codReference } =
+      req.body;
 
     console.log(`🔄 Admin updating order ${orderId} status to ${status}`);
 
@@ -905,54 +1324,19 @@ router.put("/:orderId/admin/update-status", adminAuth, async (req, res) => {
       });
     }
 
-    // Validate status
-    const validStatuses = [
-      "pending",
-      "pending_payment",
-      "confirmed",
-      "processing",
-      "shipped",
-      "delivered",
-      "cancelled",
-    ];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid status",
+    // Validate status against the transition graph
+    try {
+      await order.updateStatus(status, {
+        actor: getRequestActor(req),
+        note: note || "",
+        trackingNumber,
+        codCollection: { amount: codCollectedAmount, reference: codReference },
       });
+    } catch (statusError) {
+      if (sendStatusError(res, statusError)) return;
+      throw statusError;
     }
 
-    // Update order status
-    order.status = status;
-
-    // Update specific timestamp fields based on status
-    switch (status) {
-      case "confirmed":
-        order.confirmedAt = new Date();
-        break;
-      case "processing":
-        order.processingAt = new Date();
-        break;
-      case "shipped":
-        order.shippedAt = new Date();
-        break;
-      case "delivered":
-        order.deliveredAt = new Date();
-        break;
-    }
-
-    // Add to status history if the field exists
-    if (!order.statusHistory) {
-      order.statusHistory = [];
-    }
-    order.statusHistory.push({
-      status,
-      updatedBy: req.admin._id || req.admin.username || "admin",
-      updatedAt: new Date(),
-    });
-
-    await order.save();
-
     console.log(`✅ Order ${order.orderNumber} status updated to ${status}`);
 
     res.json({
@@ -1024,7 +1408,7 @@ router.get("/:orderId", auth, async (req, res) => {
 
     res.json({
       success: true,
-      order,
+      order: toCustomerOrder(order),
     });
   } catch (error) {
     console.error("❌ Error fetching order:", error);
@@ -1040,8 +1424,7 @@ router.get("/:orderId", auth, async (req, res) => {
 // @access  Private
 router.get("/number/:orderNumber", auth, async (req, res) => {
   try {
-    const order = await Order.findOne({
-      orderNumber: req.params.orderNumber,
+    const order = await Order.findByOrderNumber(req.params.orderNumber, {
       userId: req.user._id,
     });
 
@@ -1063,7 +1446,7 @@ router.get("/number/:orderNumber", auth, async (req, res) => {
 
     res.json({
       success: true,
-      order,
+      order: toCustomerOrder(order),
     });
   } catch (error) {
     console.error("❌ Error fetching order by number:", error);
@@ -1074,13 +1457,11 @@ router.get("/number/:orderNumber", auth, async (req, res) => {
   }
 });
 
-// @desc    Cancel order
-// @route   PUT /api/orders/:orderId/cancel
+// @desc    Add the items of a past order to the cart again
+// @route   POST /api/orders/:orderId/reorder
 // @access  Private
-router.put("/:orderId/cancel", auth, async (req, res) => {
+router.post("/:orderId/reorder", auth, async (req, res) => {
   try {
-    const { reason } = req.body;
-
     const order = await Order.findById(req.params.orderId);
 
     if (!order) {
@@ -1090,7 +1471,6 @@ router.put("/:orderId/cancel", auth, async (req, res) => {
       });
     }
 
-    // Verify order belongs to user
     if (order.userId.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
@@ -1098,31 +1478,114 @@ router.put("/:orderId/cancel", auth, async (req, res) => {
       });
     }
 
-    // Check if order can be cancelled
-    if (["shipped", "delivered"].includes(order.status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot cancel shipped or delivered orders",
+    const user = await User.findById(req.user._id);
+
+    // Same product may appear on several lines
+    const lines = new Map();
+    order.items.forEach((item) => {
+      const key = item.productId != null ? item.productId.toString() : null;
+      if (!key) return;
+      const line = lines.get(key);
+      if (line) {
+        line.quantity += item.quantity;
+      } else {
+        lines.set(key, {
+          productId: key,
+          name: item.name,
+          price: item.price,
+          quantity: item.quantity,
+        });
+      }
+    });
+
+    const added = [];
+    const skipped = [];
+    const repriced = [];
+
+    order.items
+      .filter((item) => item.productId == null)
+      .forEach((item) =>
+        skipped.push({ name: item.name, reason: "Product no longer exists" })
+      );
+
+    for (const line of lines.values()) {
+      const product = isValidObjectId(line.productId)
+        ? await Product.findById(line.productId)
+        : null;
+
+      if (!product) {
+        skipped.push({
+          productId: line.productId,
+          name: line.name,
+          reason: "Product is no longer available",
+        });
+        continue;
+      }
+
+      const inCart = user.cart.find(
+        (item) =>
+          item.productId != null && item.productId.toString() === line.productId
+      );
+      const available = product.inStock
+        ? product.stock - (inCart?.quantity || 0)
+        : 0;
+      const quantity = Math.min(line.quantity, available);
+
+      if (quantity <= 0) {
+        skipped.push({
+          productId: product._id,
+          name: product.name,
+          reason: inCart ? "Cart already holds all available stock" : "Out of stock",
+        });
+        continue;
+      }
+
+      const price = roundAmount(product.discountPrice || product.price);
+      if (Math.abs(price - line.price) > 0.01) {
+        repriced.push({
+          productId: product._id,
+          name: product.name,
+          previousPrice: line.price,
+          price,
+        });
+      }
+
+      await user.addOrUpdateCartItem(product._id.toString(), quantity, {
+        name: product.name,
+        price: product.price,
+        discountPrice: product.discountPrice,
+        image: product.images?.[0] || null,
+        stock: product.stock,
       });
-    }
 
-    // Update order status to cancelled
-    await order.updateStatus("cancelled");
-    order.cancellationReason = reason;
-    await order.save();
+      added.push({
+        productId: product._id,
+        name: product.name,
+        price,
+        quantity,
+        requestedQuantity: line.quantity,
+      });
+    }
 
-    console.log("🚫 Order cancelled:", order.orderNumber);
+    console.log(
+      `🔁 Reorder of ${order.orderNumber}: ${added.length} added, ${skipped.length} skipped`
+    );
 
-    res.json({
-      success: true,
-      message: "Order cancelled successfully",
-      order: order.getOrderSummary(),
+    res.status(added.length ? 200 : 409).json({
+      success: added.length > 0,
+      message: added.length
+        ? "Items added to your cart"
+        : "None of the items in this order are available right now",
+      added,
+      skipped,
+      repriced,
+      cart: user.getCartSummary(),
     });
   } catch (error) {
-    console.error("❌ Error cancelling order:", error);
+    console.error("❌ Error reordering:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to cancel order",
+      message: "Failed to add items to cart",
     });
   }
 });
@@ -1149,47 +1612,8 @@ router.get("/:orderId/track", auth, async (req, res) => {
       });
     }
 
-    // Create tracking timeline based on new status flow
-    const timeline = [
-      {
-        status: "pending",
-        label: "Order Placed",
-        date: order.orderDate,
-        completed: true,
-      },
-      {
-        status: "payment_submitted",
-        label: "Payment Submitted",
-        date: order.payment?.submittedAt,
-        completed: !!order.payment?.submittedAt,
-      },
-      {
-        status: "confirmed",
-        label: "Payment Verified & Order Confirmed",
-        date: order.confirmedAt,
-        completed: !!order.confirmedAt,
-      },
-      {
-        status: "processing",
-        label: "Processing",
-        date: order.status === "processing" ? new Date() : null,
-        completed: ["processing", "shipped", "delivered"].includes(
-          order.status
-        ),
-      },
-      {
-        status: "shipped",
-        label: "Shipped",
-        date: order.shippedAt,
-        completed: ["shipped", "delivered"].includes(order.status),
-      },
-      {
-        status: "delivered",
-        label: "Delivered",
-        date: order.deliveredAt,
-        completed: order.status === "delivered",
-      },
-    ];
+    // Tracking timeline is built from the persisted status history
+    const timeline = buildTimeline(order);
 
     res.json({
       success: true,
@@ -1199,7 +1623,19 @@ router.get("/:orderId/track", auth, async (req, res) => {
         paymentStatus: order.payment?.paymentStatus,
         trackingNumber: order.trackingNumber,
         timeline,
-        estimatedDelivery: null, // You can add logic to calculate this
+        history: order.statusHistory,
+        shipments: order.shipments.map((shipment) => ({
+          _id: shipment._id,
+          courier: shipment.courier,
+          trackingNumber: shipment.trackingNumber,
+          trackingUrl: shipment.trackingUrl,
+          status: shipment.status,
+          shippedAt: shipment.shippedAt,
+          deliveredAt: shipment.deliveredAt,
+          items: shipment.items,
+        })),
+        unshippedItems: order.shipments.length ? order.getUnshippedItems() : [],
+        estimatedDelivery: order.deliveryInfo?.estimatedDelivery || null,
       },
     });
   } catch (error) {
@@ -1211,6 +1647,41 @@ router.get("/:orderId/track", auth, async (req, res) => {
   }
 });
 
+// Respond to errors raised by Order.updateStatus. Returns true if handled.
+function sendStatusError(res, error) {
+  if (error.code === "INVALID_STATUS_TRANSITION") {
+    res.status(400).json({
+      success: false,
+      code: error.code,
+      message: error.message,
+      allowedStatuses: error.allowedStatuses,
+    });
+    return true;
+  }
+
+  if (error.code === "INVALID_COD_COLLECTION") {
+    res.status(400).json({
+      success: false,
+      code: error.code,
+      message: error.message,
+    });
+    return true;
+  }
+
+  if (error.code === "INSUFFICIENT_STOCK") {
+    res.status(409).json({
+      success: false,
+      code: error.code,
+      message: error.message,
+      productId: error.productId,
+      available: error.available,
+    });
+    return true;
+  }
+
+  return false;
+}
+
 // Helper functions (Email functionality) - Updated to use emailService
 async function sendAdminVerificationNotification(order) {
   try {
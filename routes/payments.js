@@ -0,0 +1,438 @@
+//routes/payments.js - Razorpay checkout and webhooks
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const auth = require("../middleware/auth");
+const { sendOrderNotificationEmail } = require("../utils/emailService");
+const {
+  getRazorpayConfig,
+  isRazorpayConfigured,
+  createRazorpayOrder,
+  refundRazorpayPayment,
+  verifyCheckoutSignature,
+  verifyWebhookSignature,
+  toPaise,
+} = require("../config/razorpay");
+
+const RAZORPAY_METHOD = "RAZORPAY";
+const RAZORPAY_ACTOR = { type: "system", name: "Razorpay" };
+
+// @desc    Create (or reuse) a Razorpay order to pay for one of our orders
+// @route   POST /api/payments/razorpay/order
+// @access  Private
+router.post("/razorpay/order", auth, async (req, res) => {
+  try {
+    if (!isRazorpayConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: "Online payments are not available right now",
+      });
+    }
+
+    const order = await findCustomerOrder(req, res);
+    if (!order) return;
+
+    if (order.payment.method === "COD") {
+      return res.status(400).json({
+        success: false,
+        message: "This order is paid by Cash on Delivery",
+      });
+    }
+
+    if (
+      !["pending", "payment_failed"].includes(order.status) ||
+      order.payment.paymentStatus === "verified"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pay for an order with status '${order.status}'`,
+      });
+    }
+
+    // Checkout may be reopened; reuse the gateway order while the amount holds
+    let razorpay = order.payment.razorpay;
+    if (
+      !razorpay?.orderId ||
+      razorpay.status === "captured" ||
+      razorpay.amount !== toPaise(order.total)
+    ) {
+      const gatewayOrder = await createRazorpayOrder({
+        amount: order.total,
+        receipt: order.orderNumber,
+        notes: { orderId: order._id.toString() },
+      });
+
+      order.payment.method = RAZORPAY_METHOD;
+      order.payment.razorpay = {
+        orderId: gatewayOrder.id,
+        amount: gatewayOrder.amount,
+        status: "created",
+      };
+      await order.save();
+      razorpay = order.payment.razorpay;
+
+      console.log(
+        `💳 Razorpay order ${gatewayOrder.id} created for ${order.orderNumber}`
+      );
+    }
+
+    res.json({
+      success: true,
+      keyId: getRazorpayConfig().keyId,
+      razorpayOrderId: razorpay.orderId,
+      amount: razorpay.amount,
+      currency: "INR",
+      orderNumber: order.orderNumber,
+      prefill: {
+        name: order.shippingAddress.name,
+        email: order.shippingAddress.email,
+        contact: order.shippingAddress.phone,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error creating Razorpay order:", error);
+    res.status(error.code === "RAZORPAY_ERROR" ? 502 : 500).json({
+      success: false,
+      message: "Failed to start online payment",
+    });
+  }
+});
+
+// @desc    Verify the Checkout signature and confirm the order
+// @route   POST /api/payments/razorpay/verify
+// @access  Private
+router.post("/razorpay/verify", auth, async (req, res) => {
+  try {
+    const {
+      razorpay_order_id: razorpayOrderId,
+      razorpay_payment_id: razorpayPaymentId,
+      razorpay_signature: signature,
+    } = req.body;
+
+    const order = await findCustomerOrder(req, res);
+    if (!order) return;
+
+    if (
+      !razorpayOrderId ||
+      order.payment.razorpay?.orderId !== razorpayOrderId ||
+      !verifyCheckoutSignature({ razorpayOrderId, razorpayPaymentId, signature })
+    ) {
+      console.warn(`⚠️ Bad Razorpay signature for order ${order.orderNumber}`);
+      return res.status(400).json({
+        success: false,
+        code: "INVALID_SIGNATURE",
+        message: "Payment could not be verified",
+      });
+    }
+
+    const result = await applyRazorpayPayment(order, {
+      captured: true,
+      paymentId: razorpayPaymentId,
+    });
+
+    res.json({
+      success: true,
+      message:
+        result === "not_payable"
+          ? "Payment received, but this order can no longer be confirmed. We will refund you."
+          : "Payment successful",
+      result,
+      order: {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentStatus: order.payment.paymentStatus,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error verifying Razorpay payment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify payment",
+    });
+  }
+});
+
+// @desc    Receive payment events from Razorpay
+// @route   POST /api/payments/razorpay/webhook
+// @access  Public (verified by X-Razorpay-Signature)
+router.post("/razorpay/webhook", async (req, res) => {
+  if (!verifyWebhookSignature(req.rawBody, req.get("x-razorpay-signature"))) {
+    console.warn("⚠️ Rejected Razorpay webhook with a bad signature");
+    return res.status(401).json({
+      success: false,
+      message: "Invalid webhook signature",
+    });
+  }
+
+  try {
+    const { event } = req.body;
+    const payment = req.body.payload?.payment?.entity;
+    const eventId = req.get("x-razorpay-event-id") || null;
+
+    const handled = ["payment.captured", "order.paid", "payment.failed"];
+    if (!handled.includes(event) || !payment?.order_id) {
+      return res.json({ success: true, result: "ignored" });
+    }
+
+    const order = await Order.findOne({
+      "payment.razorpay.orderId": payment.order_id,
+    });
+
+    // Still 200: retrying will not make an unknown order appear
+    if (!order) {
+      console.warn(`⚠️ Razorpay webhook for unknown order ${payment.order_id}`);
+      return res.json({ success: true, result: "unknown" });
+    }
+
+    if (eventId && order.payment.razorpay.lastEventId === eventId) {
+      return res.json({ success: true, result: "duplicate" });
+    }
+
+    const result = await applyRazorpayPayment(order, {
+      captured: event !== "payment.failed",
+      paymentId: payment.id,
+      amount: payment.amount,
+      method: payment.method,
+      reason: payment.error_description,
+      eventId,
+    });
+
+    console.log(
+      `💳 Razorpay ${event} for ${order.orderNumber}: ${result} (${order.status})`
+    );
+
+    res.json({
+      success: true,
+      result,
+      orderNumber: order.orderNumber,
+      orderStatus: order.status,
+    });
+  } catch (error) {
+    console.error("❌ Error processing Razorpay webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process webhook",
+    });
+  }
+});
+
+// Load the customer's own order from req.body.orderId. Sends the error itself.
+async function findCustomerOrder(req, res) {
+  const order = req.body.orderId
+    ? await Order.findById(req.body.orderId).catch(() => null)
+    : null;
+
+  if (!order || order.userId.toString() !== req.user._id.toString()) {
+    res.status(404).json({
+      success: false,
+      message: "Order not found",
+    });
+    return null;
+  }
+
+  return order;
+}
+
+/**
+ * Confirm an order for a captured Razorpay payment, via Order.verifyPayment,
+ * or record a failed attempt. Checkout and webhooks both land here, so a
+ * capture is claimed atomically and only confirms the order once.
+ * @returns {Promise<string>} confirmed | failed | duplicate | amount_mismatch | not_payable | ignored
+ */
+async function applyRazorpayPayment(
+  order,
+  { captured, paymentId, amount, method, reason, eventId }
+) {
+  const razorpay = order.payment.razorpay;
+
+  if (!captured) {
+    if (razorpay.status === "captured") return "ignored";
+
+    // Checkout lets the customer try again, so the order stays pending
+    // until they pay, cancel it or the expiry sweeper does
+    razorpay.status = "failed";
+    razorpay.paymentId = paymentId || razorpay.paymentId;
+    razorpay.failureReason = reason || "";
+    razorpay.failedAttempts = (razorpay.failedAttempts || 0) + 1;
+    razorpay.lastFailedAt = new Date();
+    razorpay.lastEventId = eventId || razorpay.lastEventId;
+    await order.save();
+    return "failed";
+  }
+
+  if (amount != null && amount !== razorpay.amount) {
+    console.error(
+      `❌ Razorpay amount ${amount} does not match ${razorpay.amount} for ${order.orderNumber}`
+    );
+    return "amount_mismatch";
+  }
+
+  const capturedAt = new Date();
+  const previousStatus = razorpay.status;
+  const claimed = await Order.updateOne(
+    {
+      _id: order._id,
+      "payment.razorpay.orderId": razorpay.orderId,
+      "payment.razorpay.status": { $ne: "captured" },
+    },
+    {
+      $set: {
+        "payment.razorpay.status": "captured",
+        "payment.razorpay.paymentId": paymentId,
+        "payment.razorpay.capturedAt": capturedAt,
+      },
+    }
+  );
+  if (claimed.modifiedCount === 0) return "duplicate";
+
+  // The payment id stays on payment.razorpay; transactionId is for UPI UTRs
+  razorpay.status = "captured";
+  razorpay.paymentId = paymentId;
+  razorpay.capturedAt = capturedAt;
+  razorpay.method = method || razorpay.method;
+  razorpay.lastEventId = eventId || razorpay.lastEventId;
+  order.payment.method = RAZORPAY_METHOD;
+
+  try {
+    // A failed attempt was retried and went through
+    if (order.status === "payment_failed") {
+      await order.updateStatus("payment_submitted", {
+        actor: RAZORPAY_ACTOR,
+        note: "Payment retried on Razorpay",
+      });
+    }
+
+    if (!order.canTransitionTo("confirmed")) {
+      // e.g. expired and cancelled before the customer paid
+      await order.save();
+      console.error(
+        `❌ Razorpay payment ${paymentId} captured for ${order.status} order ${order.orderNumber}`
+      );
+      await refundUnpayablePayment(order);
+      return "not_payable";
+    }
+
+    await order.verifyPayment(true, {
+      actor: RAZORPAY_ACTOR,
+      adminId: "razorpay",
+      notes: `Paid via Razorpay (${paymentId})`,
+    });
+  } catch (error) {
+    // Release the claim so a webhook retry or Checkout can apply it again
+    await releaseRazorpayClaim(order, paymentId, previousStatus);
+    throw error;
+  }
+
+  await sendPaymentEmail(order, "order_confirmed");
+  return "confirmed";
+}
+
+// Undo a capture claim whose order update did not go through
+async function releaseRazorpayClaim(order, paymentId, previousStatus) {
+  try {
+    await Order.updateOne(
+      {
+        _id: order._id,
+        status: { $ne: "confirmed" },
+        "payment.razorpay.status": "captured",
+        "payment.razorpay.paymentId": paymentId,
+      },
+      { $set: { "payment.razorpay.status": previousStatus || "created" } }
+    );
+  } catch (error) {
+    console.error(
+      `❌ Could not release Razorpay claim for ${order.orderNumber}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Refund a payment captured for an order that can no longer be confirmed.
+ * If Razorpay refuses, the order is left with refundStatus 'failed' for an
+ * admin to refund by hand. The customer is told either way. Never throws:
+ * the capture claim must stay in place so the payment is not applied twice.
+ */
+async function refundUnpayablePayment(order) {
+  const razorpay = order.payment.razorpay;
+  const amount = razorpay.amount / 100;
+  let update;
+
+  try {
+    const refund = await refundRazorpayPayment({
+      paymentId: razorpay.paymentId,
+      notes: { orderId: order._id.toString(), reason: `Order ${order.status}` },
+    });
+    update = {
+      refundStatus: "processed",
+      refundId: refund.id,
+      refundedAt: new Date(),
+      refundError: "",
+    };
+    console.log(
+      `💸 Refunded Razorpay payment ${razorpay.paymentId} (${refund.id}) for ${order.orderNumber}`
+    );
+  } catch (error) {
+    update = { refundStatus: "failed", refundError: error.message };
+    console.error(
+      `❌ Razorpay refund failed for ${order.orderNumber}, refund ${razorpay.paymentId} by hand:`,
+      error.message
+    );
+  }
+
+  Object.assign(razorpay, update);
+  try {
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: Object.fromEntries(
+          Object.entries(update).map(([field, value]) => [
+            `payment.razorpay.${field}`,
+            value,
+          ])
+        ),
+      }
+    );
+  } catch (error) {
+    console.error(
+      `❌ Could not record the Razorpay refund for ${order.orderNumber}:`,
+      error.message
+    );
+  }
+
+  await sendPaymentEmail(order, "payment_not_applied", {
+    amount,
+    refundReference: razorpay.refundId,
+    reason:
+      razorpay.refundStatus === "processed"
+        ? "We have refunded it in full. It can take 5-7 working days to reach your account."
+        : "We will refund it in full and email you once the refund is on its way.",
+  });
+}
+
+async function sendPaymentEmail(order, template, data = {}) {
+  try {
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+
+    await sendOrderNotificationEmail(order.shippingAddress.email, template, {
+      customerName: order.shippingAddress.name,
+      orderNumber: order.orderNumber,
+      amount: order.total,
+      orderDate: order.orderDate || order.createdAt,
+      items: order.items,
+      shippingAddress: order.shippingAddress,
+      reason: order.payment.razorpay?.failureReason || "Payment failed",
+      trackingUrl: `${frontendUrl}/orders/${order._id}/track`,
+      retryUrl: `${frontendUrl}/orders/${order._id}`,
+      ...data,
+    });
+  } catch (error) {
+    console.error(
+      `Failed to send ${template} email for order ${order.orderNumber}:`,
+      error.message
+    );
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,325 @@
+//routes/reconciliation.js - Match bank statement credits to UPI payments awaiting verification
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const Order = require("../models/Order");
+const adminAuth = require("../middleware/adminAuth");
+const { sendOrderNotificationEmail } = require("../utils/emailService");
+const { getRequestActor } = require("../utils/orderStatus");
+const {
+  parseStatement,
+  matchCredits,
+  signMatch,
+  readMatchToken,
+  BANK_FORMATS,
+  AMOUNT_TOLERANCE,
+} = require("../utils/bankStatement");
+
+const MAX_STATEMENT_BYTES = 2 * 1024 * 1024;
+const MAX_APPROVALS = 200;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_STATEMENT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCsv =
+      /\.csv$/i.test(file.originalname) ||
+      ["text/csv", "application/vnd.ms-excel", "text/plain"].includes(
+        file.mimetype
+      );
+    cb(null, isCsv);
+  },
+});
+
+// @desc    List supported statement formats (Admin only)
+// @route   GET /api/orders/admin/reconciliation/formats
+// @access  Private (Admin only)
+router.get("/admin/reconciliation/formats", adminAuth, (req, res) => {
+  res.json({
+    success: true,
+    formats: Object.entries(BANK_FORMATS).map(([key, format]) => ({
+      key,
+      label: format.label,
+      columns: {
+        date: format.date,
+        description: format.description,
+        reference: format.reference,
+        credit: format.credit,
+      },
+    })),
+  });
+});
+
+// @desc    Upload a bank/UPI statement and propose payment matches (Admin only)
+// @route   POST /api/orders/admin/reconciliation/statement
+// @access  Private (Admin only)
+router.post(
+  "/admin/reconciliation/statement",
+  adminAuth,
+  (req, res, next) => {
+    upload.single("statement")(req, res, (error) => {
+      if (!error) return next();
+      res.status(400).json({
+        success: false,
+        message:
+          error.code === "LIMIT_FILE_SIZE"
+            ? "Statement must be smaller than 2 MB"
+            : error.message,
+      });
+    });
+  },
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Upload the statement as a CSV file in the 'statement' field",
+        });
+      }
+
+      let mapping;
+      if (req.body.mapping) {
+        try {
+          mapping =
+            typeof req.body.mapping === "string"
+              ? JSON.parse(req.body.mapping)
+              : req.body.mapping;
+        } catch (parseError) {
+          return res.status(400).json({
+            success: false,
+            message: "Column mapping must be valid JSON",
+          });
+        }
+      }
+
+      const statement = parseStatement(req.file.buffer, {
+        format: req.body.format || undefined,
+        mapping,
+      });
+
+      const orders = await Order.find({
+        status: "payment_submitted",
+        "payment.paymentStatus": "pending_verification",
+      }).select("orderNumber total orderDate createdAt shippingAddress.name payment");
+
+      const { matches, unmatchedCredits, unmatchedOrders } = matchCredits(
+        statement.credits,
+        orders
+      );
+
+      console.log(
+        `🏦 Statement (${statement.format.label}): ${statement.credits.length} credit(s), ${matches.length} match(es)`
+      );
+
+      // Approvals send the token back instead of the credit itself
+      const proposals = matches.map((match) => ({
+        ...match,
+        matchToken: match.reference ? signMatch(match) : null,
+      }));
+
+      res.json({
+        success: true,
+        format: statement.format,
+        summary: {
+          credits: statement.credits.length,
+          skippedRows: statement.skippedRows,
+          pendingOrders: orders.length,
+          matched: matches.length,
+          highConfidence: matches.filter((match) => match.confidence === "high")
+            .length,
+          unmatchedCredits: unmatchedCredits.length,
+        },
+        matches: proposals,
+        unmatchedCredits,
+        unmatchedOrders,
+      });
+    } catch (error) {
+      if (error.code === "INVALID_STATEMENT") {
+        return res.status(400).json({
+          success: false,
+          code: error.code,
+          message: error.message,
+        });
+      }
+
+      console.error("❌ Error reconciling statement:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process statement",
+      });
+    }
+  }
+);
+
+// @desc    Confirm payments for approved statement matches (Admin only)
+// @route   POST /api/orders/admin/reconciliation/approve
+// @access  Private (Admin only)
+// Body: { matches: [{ matchToken }] } - tokens from the statement upload
+router.post("/admin/reconciliation/approve", adminAuth, async (req, res) => {
+  try {
+    const { matches } = req.body;
+
+    if (!Array.isArray(matches) || matches.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Select at least one match to approve",
+      });
+    }
+
+    if (matches.length > MAX_APPROVALS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_APPROVALS} matches can be approved at once`,
+      });
+    }
+
+    const actor = getRequestActor(req);
+    const results = [];
+    const batchReferences = new Set();
+
+    // One at a time: each confirmation takes stock and sends an email
+    for (const match of matches) {
+      const result = await approveMatch(match, actor, batchReferences);
+      results.push(result);
+    }
+
+    const approved = results.filter((result) => result.result === "confirmed");
+    console.log(
+      `🏦 Reconciliation: ${approved.length}/${results.length} payment(s) confirmed by ${actor.name}`
+    );
+
+    res.json({
+      success: true,
+      message: `${approved.length} of ${results.length} payment(s) confirmed`,
+      results,
+    });
+  } catch (error) {
+    console.error("❌ Error approving reconciliation matches:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve matches",
+    });
+  }
+});
+
+// Confirm one order against a statement credit this server proposed.
+// Each UTR confirms one order, across batches and within this one.
+// Never throws.
+async function approveMatch(match, actor, batchReferences) {
+  const proposed = readMatchToken(match?.matchToken);
+  if (!proposed) {
+    return {
+      orderId: match?.orderId,
+      result: "rejected",
+      message: "Unknown or expired match; upload the statement again",
+    };
+  }
+
+  const { orderId, amount, date, reference } = proposed;
+
+  try {
+    if (batchReferences.has(reference)) {
+      return {
+        orderId,
+        result: "rejected",
+        message: `UTR ${reference} is approved more than once in this batch`,
+      };
+    }
+    batchReferences.add(reference);
+
+    const order = await Order.findById(orderId).catch(() => null);
+    if (!order) {
+      return { orderId, result: "not_found", message: "Order not found" };
+    }
+
+    const summary = { orderId: order._id, orderNumber: order.orderNumber };
+
+    // Someone may have verified or cancelled it since the statement was read
+    if (order.payment.paymentStatus !== "pending_verification") {
+      return {
+        ...summary,
+        result: "skipped",
+        message: `Payment is already ${order.payment.paymentStatus}`,
+      };
+    }
+
+    if (!(Math.abs(amount - order.total) <= AMOUNT_TOLERANCE)) {
+      return {
+        ...summary,
+        result: "rejected",
+        message: `Credit of Rs. ${amount} does not match order total Rs. ${order.total}`,
+      };
+    }
+
+    const usedBy = await Order.findOne({
+      "payment.reconciledReference": reference,
+    }).select("orderNumber");
+    if (usedBy) {
+      return {
+        ...summary,
+        result: "rejected",
+        message: `UTR ${reference} already confirmed order ${usedBy.orderNumber}`,
+      };
+    }
+
+    const creditDate = date && !isNaN(date) ? date : null;
+    const notes = `Matched bank statement credit ${reference}${
+      creditDate ? ` on ${creditDate.toISOString().slice(0, 10)}` : ""
+    }`;
+
+    // The unique index also stops two concurrent approvals of one UTR
+    order.payment.reconciledReference = reference;
+    await order.verifyPayment(true, {
+      actor,
+      adminId: actor.id,
+      notes,
+      paymentDate: creditDate || undefined,
+    });
+    await sendConfirmationEmail(order);
+
+    return { ...summary, result: "confirmed", status: order.status };
+  } catch (error) {
+    if (error.code === 11000) {
+      return {
+        orderId,
+        result: "rejected",
+        message: `UTR ${reference} already confirmed another order`,
+      };
+    }
+
+    console.error(`❌ Could not confirm order ${orderId}:`, error.message);
+    return {
+      orderId,
+      result: "failed",
+      code: error.code,
+      message: error.message,
+    };
+  }
+}
+
+async function sendConfirmationEmail(order) {
+  try {
+    await sendOrderNotificationEmail(
+      order.shippingAddress.email,
+      "order_confirmed",
+      {
+        customerName: order.shippingAddress.name,
+        orderNumber: order.orderNumber,
+        amount: order.total,
+        orderDate: order.orderDate || order.createdAt,
+        items: order.items,
+        shippingAddress: order.shippingAddress,
+        trackingUrl: `${
+          process.env.FRONTEND_URL || "http://localhost:3000"
+        }/orders/${order._id}/track`,
+      }
+    );
+  } catch (error) {
+    console.error(
+      `Failed to send confirmation email for order ${order.orderNumber}:`,
+      error.message
+    );
+  }
+}
+
+module.exports = router;
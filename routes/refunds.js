@@ -0,0 +1,215 @@
+//routes/refunds.js - Refund ledger for paid (UPI) orders
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const adminAuth = require("../middleware/adminAuth");
+const { sendOrderNotificationEmail } = require("../utils/emailService");
+const { getRequestActor } = require("../utils/orderStatus");
+
+// Payment statuses that mean we actually received the money
+const REFUNDABLE_PAYMENT_STATUSES = ["verified", "partially_refunded"];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// @desc    Get refund ledger for an order (Admin only)
+// @route   GET /api/orders/:orderId/admin/refunds
+// @access  Private (Admin only)
+router.get("/:orderId/admin/refunds", adminAuth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      refunds: order.payment.refunds,
+      paidAmount: order.getPaidAmount(),
+      refundedAmount: order.payment.refundedAmount || 0,
+      refundableAmount: order.getRefundableAmount(),
+      paymentStatus: order.payment.paymentStatus,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching refunds:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch refunds",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Record a partial or full refund (Admin only)
+// @route   POST /api/orders/:orderId/admin/refunds
+// @access  Private (Admin only)
+router.post("/:orderId/admin/refunds", adminAuth, async (req, res) => {
+  try {
+    const { amount, upiReference, reason, returnId, refundedAt } = req.body;
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.payment?.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot refund an order with payment status '${order.payment?.paymentStatus}'`,
+      });
+    }
+
+    const refundAmount = roundAmount(parseFloat(amount));
+    const refundable = order.getRefundableAmount();
+
+    if (isNaN(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between 0.01 and ${refundable}`,
+      });
+    }
+
+    const refundDate = refundedAt ? new Date(refundedAt) : new Date();
+    if (isNaN(refundDate)) {
+      return res.status(400).json({
+        success: false,
+        message: "refundedAt must be a valid date",
+      });
+    }
+
+    const cleanReference = (upiReference || "").toString().trim().toUpperCase();
+    if (!/^[A-Z0-9]{8,35}$/.test(cleanReference)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid UPI reference (UTR) is required",
+      });
+    }
+
+    const referenceUsed = await Order.exists({
+      "payment.refunds.upiReference": cleanReference,
+    });
+    if (referenceUsed) {
+      return res.status(400).json({
+        success: false,
+        message: "This UPI reference has already been recorded for a refund",
+      });
+    }
+
+    // Refunds against a return cannot exceed the amount set when it was received
+    if (returnId) {
+      const returnRequest = order.returns.id(returnId);
+      if (!returnRequest || returnRequest.status !== "received") {
+        return res.status(400).json({
+          success: false,
+          message: "Return not found or not received yet",
+        });
+      }
+
+      const refundedForReturn = order.payment.refunds
+        .filter((r) => r.returnId && r.returnId.toString() === returnId)
+        .reduce((sum, r) => sum + r.amount, 0);
+      const remainingForReturn = roundAmount(
+        returnRequest.refundAmount - refundedForReturn
+      );
+
+      if (refundAmount > remainingForReturn) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ₹${remainingForReturn} is left to refund for this return`,
+        });
+      }
+    }
+
+    const previousRefunded = order.payment.refundedAmount || 0;
+    const newRefunded = roundAmount(previousRefunded + refundAmount);
+    const paidAmount = order.getPaidAmount();
+    const isFullRefund = newRefunded >= roundAmount(paidAmount);
+    const actor = getRequestActor(req);
+
+    const refund = {
+      amount: refundAmount,
+      method: order.payment.method || "UPI",
+      upiReference: cleanReference,
+      reason: reason || "",
+      returnId: returnId || null,
+      refundedAt: refundDate,
+      recordedBy: actor,
+    };
+
+    // Compare-and-set on refundedAmount so parallel refunds cannot over-refund
+    const updated = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        "payment.refundedAmount": previousRefunded
+          ? previousRefunded
+          : { $in: [0, null] },
+      },
+      {
+        $push: { "payment.refunds": refund },
+        $set: {
+          "payment.refundedAmount": newRefunded,
+          "payment.paymentStatus": isFullRefund
+            ? "refunded"
+            : "partially_refunded",
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "Another refund was recorded meanwhile. Please reload and try again.",
+      });
+    }
+
+    console.log(
+      `💸 Refund of ₹${refundAmount} recorded for order ${order.orderNumber} by ${actor.name}`
+    );
+
+    try {
+      await sendOrderNotificationEmail(
+        updated.shippingAddress.email,
+        "refund_processed",
+        {
+          customerName: updated.shippingAddress.name,
+          orderNumber: updated.orderNumber,
+          amount: paidAmount,
+          refundAmount,
+          upiReference: cleanReference,
+          totalRefunded: newRefunded,
+          isFullRefund,
+          reason,
+        }
+      );
+    } catch (emailError) {
+      console.log("Note: Could not send refund email:", emailError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: isFullRefund
+        ? "Full refund recorded successfully"
+        : "Partial refund recorded successfully",
+      refund: updated.payment.refunds[updated.payment.refunds.length - 1],
+      refundedAmount: newRefunded,
+      refundableAmount: updated.getRefundableAmount(),
+      paymentStatus: updated.payment.paymentStatus,
+    });
+  } catch (error) {
+    console.error("❌ Error recording refund:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record refund",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,515 @@
+//routes/returns.js - Customer returns (RMA) for delivered orders
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const auth = require("../middleware/auth");
+const adminAuth = require("../middleware/adminAuth");
+const { sendOrderNotificationEmail } = require("../utils/emailService");
+const { releaseItems } = require("../utils/stockManager");
+const { getRequestActor } = require("../utils/orderStatus");
+const multer = require("multer");
+const {
+  storeReturnPhoto,
+  removeReturnPhoto,
+  getReturnPhotoUrl,
+  MAX_RETURN_PHOTO_BYTES,
+} = require("../utils/returnPhotos");
+
+const DEFAULT_RETURN_WINDOW_DAYS = 7;
+const MAX_RETURN_PHOTOS = 5;
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_RETURN_PHOTO_BYTES, files: MAX_RETURN_PHOTOS },
+});
+
+// Optional multipart 'photos'; JSON requests pass straight through
+function uploadPhotos(req, res, next) {
+  photoUpload.array("photos", MAX_RETURN_PHOTOS)(req, res, (error) => {
+    if (!error) return next();
+    res.status(400).json({
+      success: false,
+      message:
+        error.code === "LIMIT_FILE_SIZE"
+          ? "Each photo must be smaller than 5 MB"
+          : error.code === "LIMIT_FILE_COUNT" || error.code === "LIMIT_UNEXPECTED_FILE"
+            ? `You can attach up to ${MAX_RETURN_PHOTOS} photos`
+            : error.message,
+    });
+  });
+}
+
+// @desc    Request a return for a delivered order
+// @route   POST /api/orders/:orderId/return
+// @access  Private
+//
+// Photos come as multipart 'photos' (with 'items' as a JSON string) and are
+// kept in file storage; JSON 'photos' may only be http(s) links.
+router.post("/:orderId/return", auth, uploadPhotos, async (req, res) => {
+  try {
+    const { reason, photos = [] } = req.body;
+    const files = req.files || [];
+
+    let { items } = req.body;
+    if (typeof items === "string") {
+      try {
+        items = JSON.parse(items);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: "Items must be valid JSON",
+        });
+      }
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (order.status !== "delivered") {
+      return res.status(400).json({
+        success: false,
+        message: "Only delivered orders can be returned",
+      });
+    }
+
+    // Check the return window
+    const settings = await Settings.findOne({ type: "admin" }).lean();
+    const windowDays =
+      settings?.orders?.returnWindowDays ?? DEFAULT_RETURN_WINDOW_DAYS;
+    const deliveredAt = order.deliveredAt || order.updatedAt;
+    const windowEndsAt = new Date(
+      new Date(deliveredAt).getTime() + windowDays * 24 * 60 * 60 * 1000
+    );
+
+    if (new Date() > windowEndsAt) {
+      return res.status(400).json({
+        success: false,
+        message: `The return window for this order closed on ${windowEndsAt.toLocaleDateString(
+          "en-IN"
+        )}`,
+      });
+    }
+
+    if (!reason || !reason.toString().trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Return reason is required",
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Select at least one item to return",
+      });
+    }
+
+    if (!Array.isArray(photos) || photos.length + files.length > MAX_RETURN_PHOTOS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can attach up to ${MAX_RETURN_PHOTOS} photos`,
+      });
+    }
+
+    const invalidPhoto = photos.find(
+      (photo) => typeof photo !== "string" || !/^https?:\/\//.test(photo)
+    );
+    if (invalidPhoto !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Upload photos as files; only http(s) links can be sent as JSON",
+      });
+    }
+
+    // Validate line-level quantities against what is still returnable
+    const alreadyReturned = order.getReturnedQuantities();
+    const returnItems = [];
+
+    for (const requested of items) {
+      const requestedId = (
+        requested.orderItemId ||
+        requested.itemId ||
+        requested.productId ||
+        ""
+      ).toString();
+
+      const orderItem = order.items.find(
+        (item) =>
+          item._id.toString() === requestedId ||
+          (item.productId != null && item.productId.toString() === requestedId)
+      );
+
+      if (!orderItem) {
+        return res.status(400).json({
+          success: false,
+          message: `Item ${requestedId} is not part of this order`,
+        });
+      }
+
+      const quantity = parseInt(requested.quantity);
+      const returnable =
+        orderItem.quantity - (alreadyReturned[orderItem._id.toString()] || 0);
+
+      if (isNaN(quantity) || quantity <= 0 || quantity > returnable) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid return quantity for ${orderItem.name}. You can return up to ${returnable}.`,
+        });
+      }
+
+      returnItems.push({
+        orderItemId: orderItem._id,
+        productId: orderItem.productId,
+        name: orderItem.name,
+        price: orderItem.price,
+        quantity,
+      });
+    }
+
+    const photoFiles = [];
+    const removeStored = () =>
+      Promise.all(
+        photoFiles.map((file) =>
+          removeReturnPhoto(file).catch((error) =>
+            console.error("Failed to remove return photo:", error.message)
+          )
+        )
+      );
+
+    try {
+      for (const file of files) {
+        photoFiles.push(await storeReturnPhoto(order._id, file.buffer));
+      }
+    } catch (error) {
+      await removeStored();
+      if (error.code === "INVALID_RETURN_PHOTO") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    // Only append if nobody changed the order meanwhile (no double requests)
+    const returnRequest = order.returns.create({
+      items: returnItems,
+      reason: reason.toString().trim(),
+      photos,
+      photoFiles,
+    });
+
+    let result;
+    try {
+      result = await Order.updateOne(
+        { _id: order._id, __v: order.__v, status: "delivered" },
+        { $push: { returns: returnRequest.toObject() }, $inc: { __v: 1 } }
+      );
+    } catch (error) {
+      await removeStored();
+      throw error;
+    }
+
+    if (result.modifiedCount === 0) {
+      await removeStored();
+      return res.status(409).json({
+        success: false,
+        message: "This order was updated meanwhile. Please try again.",
+      });
+    }
+
+    console.log(`↩️ Return requested for order ${order.orderNumber}`);
+
+    await sendReturnEmail(order, returnRequest, "requested");
+
+    res.status(201).json({
+      success: true,
+      message: "Return request submitted successfully",
+      returnRequest: formatReturn(returnRequest),
+    });
+  } catch (error) {
+    console.error("❌ Error requesting return:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit return request",
+    });
+  }
+});
+
+// @desc    List return requests (Admin only)
+// @route   GET /api/orders/admin/returns
+// @access  Private (Admin only)
+router.get("/admin/returns", adminAuth, async (req, res) => {
+  try {
+    const { status = "requested", page = 1, limit = 50 } = req.query;
+
+    const match = status === "all" ? {} : { "returns.status": status };
+
+    const orders = await Order.find({ "returns.0": { $exists: true }, ...match })
+      .populate("userId", "name email phone")
+      .sort({ "returns.requestedAt": -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const returns = [];
+    orders.forEach((order) => {
+      order.returns
+        .filter((ret) => status === "all" || ret.status === status)
+        .forEach((ret) =>
+          returns.push({
+            ...formatReturn(ret),
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            orderStatus: order.status,
+            user: order.userId,
+            shippingAddress: order.shippingAddress,
+          })
+        );
+    });
+
+    res.json({
+      success: true,
+      returns,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching returns:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch returns",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Approve a return request (Admin only)
+// @route   PUT /api/orders/:orderId/admin/returns/:returnId/approve
+// @access  Private (Admin only)
+router.put(
+  "/:orderId/admin/returns/:returnId/approve",
+  adminAuth,
+  async (req, res) => {
+    try {
+      const { notes } = req.body;
+      const order = await moveReturn(req, "requested", {
+        "returns.$.status": "approved",
+        "returns.$.approvedAt": new Date(),
+        "returns.$.adminNotes": notes || "",
+        "returns.$.handledBy": getRequestActor(req).id,
+      });
+
+      if (!order) return sendReturnNotFound(res, "requested");
+
+      const returnRequest = order.returns.id(req.params.returnId);
+      await sendReturnEmail(order, returnRequest, "approved", { notes });
+
+      res.json({
+        success: true,
+        message: "Return approved",
+        returnRequest: formatReturn(returnRequest),
+      });
+    } catch (error) {
+      console.error("❌ Error approving return:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to approve return",
+      });
+    }
+  }
+);
+
+// @desc    Reject a return request (Admin only)
+// @route   PUT /api/orders/:orderId/admin/returns/:returnId/reject
+// @access  Private (Admin only)
+router.put(
+  "/:orderId/admin/returns/:returnId/reject",
+  adminAuth,
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      if (!reason || !reason.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Rejection reason is required",
+        });
+      }
+
+      const order = await moveReturn(req, "requested", {
+        "returns.$.status": "rejected",
+        "returns.$.rejectedAt": new Date(),
+        "returns.$.rejectionReason": reason.trim(),
+        "returns.$.handledBy": getRequestActor(req).id,
+      });
+
+      if (!order) return sendReturnNotFound(res, "requested");
+
+      const returnRequest = order.returns.id(req.params.returnId);
+      await sendReturnEmail(order, returnRequest, "rejected", {
+        reason: reason.trim(),
+      });
+
+      res.json({
+        success: true,
+        message: "Return rejected",
+        returnRequest: formatReturn(returnRequest),
+      });
+    } catch (error) {
+      console.error("❌ Error rejecting return:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reject return",
+      });
+    }
+  }
+);
+
+// @desc    Mark returned items as received, restock and set refund amount (Admin only)
+// @route   PUT /api/orders/:orderId/admin/returns/:returnId/receive
+// @access  Private (Admin only)
+router.put(
+  "/:orderId/admin/returns/:returnId/receive",
+  adminAuth,
+  async (req, res) => {
+    try {
+      const { restock = true, refundAmount, notes } = req.body;
+
+      const existing = await Order.findById(req.params.orderId);
+      const pending = existing?.returns.id(req.params.returnId);
+      if (!pending || pending.status !== "approved") {
+        return sendReturnNotFound(res, "approved");
+      }
+
+      // Default refund is the value of the returned lines
+      const itemsValue = pending.items.reduce(
+        (sum, item) => sum + item.price * item.quantity,
+        0
+      );
+      const refund =
+        refundAmount !== undefined ? parseFloat(refundAmount) : itemsValue;
+
+      // All returns on the order together never refund more than it cost
+      const alreadyRefunded = existing.returns
+        .filter((ret) => ret.status === "received")
+        .reduce((sum, ret) => sum + (ret.refundAmount || 0), 0);
+      const maxRefund = Math.max(
+        0,
+        Math.round((existing.total - alreadyRefunded) * 100) / 100
+      );
+
+      if (isNaN(refund) || refund < 0 || refund > maxRefund) {
+        return res.status(400).json({
+          success: false,
+          message: `Refund amount must be between 0 and ${maxRefund}`,
+        });
+      }
+
+      // Only restock if this order actually took the stock off the shelf
+      const shouldRestock = !!restock && existing.stockReserved;
+
+      const order = await moveReturn(req, "approved", {
+        "returns.$.status": "received",
+        "returns.$.receivedAt": new Date(),
+        "returns.$.restocked": shouldRestock,
+        "returns.$.refundAmount": Math.round(refund * 100) / 100,
+        ...(notes ? { "returns.$.adminNotes": notes } : {}),
+      });
+
+      if (!order) return sendReturnNotFound(res, "approved");
+
+      const returnRequest = order.returns.id(req.params.returnId);
+
+      if (shouldRestock) {
+        await releaseItems(returnRequest.items);
+      }
+
+      // Once every unit is back the whole order is returned
+      if (order.isFullyReturned() && order.canTransitionTo("returned")) {
+        await order.updateStatus("returned", {
+          actor: getRequestActor(req),
+          note: returnRequest.reason,
+        });
+      }
+
+      await sendReturnEmail(order, returnRequest, "received", { notes });
+
+      res.json({
+        success: true,
+        message: "Return received",
+        returnRequest: formatReturn(returnRequest),
+        orderStatus: order.status,
+      });
+    } catch (error) {
+      console.error("❌ Error receiving return:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to receive return",
+      });
+    }
+  }
+);
+
+// Atomically move a return from one status to the next.
+// Returns the updated order, or null if the return was not in fromStatus.
+function moveReturn(req, fromStatus, updates) {
+  return Order.findOneAndUpdate(
+    {
+      _id: req.params.orderId,
+      returns: { $elemMatch: { _id: req.params.returnId, status: fromStatus } },
+    },
+    { $set: updates },
+    { new: true }
+  );
+}
+
+// Stored photos are shown through short-lived signed URLs
+function formatReturn(returnRequest) {
+  const data = returnRequest.toObject ? returnRequest.toObject() : returnRequest;
+
+  return {
+    ...data,
+    photoFiles: (data.photoFiles || []).map((file) => ({
+      url: getReturnPhotoUrl(file)?.url,
+      contentType: file.contentType,
+      size: file.size,
+    })),
+  };
+}
+
+function sendReturnNotFound(res, expectedStatus) {
+  return res.status(409).json({
+    success: false,
+    message: `Return not found or not in '${expectedStatus}' status`,
+  });
+}
+
+async function sendReturnEmail(order, returnRequest, returnStatus, extra = {}) {
+  try {
+    await sendOrderNotificationEmail(order.shippingAddress.email, "return_status", {
+      customerName: order.shippingAddress.name,
+      orderNumber: order.orderNumber,
+      items: returnRequest.items,
+      returnStatus,
+      refundAmount: returnRequest.refundAmount,
+      reason: extra.reason,
+      notes: extra.notes,
+    });
+    console.log(`✅ Return ${returnStatus} email sent for order ${order.orderNumber}`);
+  } catch (error) {
+    console.error(`Failed to send return ${returnStatus} email:`, error.message);
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,376 @@
+//routes/shipments.js - Parcels (shipments) of an order
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const adminAuth = require("../middleware/adminAuth");
+const { getRequestActor } = require("../utils/orderStatus");
+const { getCourierAdapter } = require("../utils/couriers");
+
+// @desc    List shipments of an order (Admin only)
+// @route   GET /api/orders/:orderId/admin/shipments
+// @access  Private (Admin only)
+router.get("/:orderId/admin/shipments", adminAuth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      status: order.status,
+      shipments: order.shipments,
+      unshippedItems: order.getUnshippedItems(),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching shipments:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch shipments",
+    });
+  }
+});
+
+// @desc    Ship a parcel with some or all remaining items (Admin only)
+// @route   POST /api/orders/:orderId/admin/shipments
+// @access  Private (Admin only)
+router.post("/:orderId/admin/shipments", adminAuth, async (req, res) => {
+  try {
+    const { courier, trackingNumber, trackingUrl, items, shippedAt, notes } =
+      req.body;
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const shipment = await order.addShipment(
+      { courier, trackingNumber, trackingUrl, items, shippedAt, notes },
+      { actor: getRequestActor(req) }
+    );
+
+    console.log(
+      `📦 Parcel ${shipment._id} shipped for order ${order.orderNumber} (${order.status})`
+    );
+
+    res.status(201).json({
+      success: true,
+      message:
+        order.status === "partially_shipped"
+          ? "Parcel shipped. Some items are still waiting to ship."
+          : "Parcel shipped",
+      shipment,
+      status: order.status,
+      unshippedItems: order.getUnshippedItems(),
+    });
+  } catch (error) {
+    if (sendShipmentError(res, error)) return;
+
+    console.error("❌ Error adding shipment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add shipment",
+    });
+  }
+});
+
+// @desc    Mark a parcel as delivered (Admin only)
+// @route   PUT /api/orders/:orderId/admin/shipments/:shipmentId/deliver
+// @access  Private (Admin only)
+router.put(
+  "/:orderId/admin/shipments/:shipmentId/deliver",
+  adminAuth,
+  async (req, res) => {
+    try {
+      const order = await Order.findById(req.params.orderId);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Order not found",
+        });
+      }
+
+      const shipment = await order.markShipmentDelivered(
+        req.params.shipmentId,
+        {
+          actor: getRequestActor(req),
+          deliveredAt: req.body.deliveredAt,
+        }
+      );
+
+      res.json({
+        success: true,
+        message:
+          order.status === "delivered"
+            ? "Parcel delivered. All parcels of this order are delivered."
+            : "Parcel delivered",
+        shipment,
+        status: order.status,
+      });
+    } catch (error) {
+      if (sendShipmentError(res, error)) return;
+
+      console.error("❌ Error delivering shipment:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update shipment",
+      });
+    }
+  }
+);
+
+// @desc    Book a parcel with a courier adapter and ship it (Admin only)
+// @route   POST /api/orders/:orderId/admin/shipments/book
+// @access  Private (Admin only)
+router.post("/:orderId/admin/shipments/book", adminAuth, async (req, res) => {
+  try {
+    const { courier, items, notes } = req.body;
+
+    const adapter = getCourierAdapter(courier);
+    if (!adapter) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown courier '${courier}'`,
+      });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Validate before the courier books anything
+    const parcelItems = order.resolveShipmentItems(items);
+    const booking = await adapter.createShipment(order, {
+      items: parcelItems,
+      notes,
+    });
+
+    let shipment;
+    try {
+      shipment = await order.addShipment(
+        {
+          courier: adapter.name,
+          trackingNumber: booking.trackingNumber,
+          trackingUrl: booking.trackingUrl,
+          courierReference: booking.courierReference,
+          courierStatus: booking.status,
+          items,
+          notes,
+        },
+        { actor: getRequestActor(req) }
+      );
+    } catch (error) {
+      // Do not leave a booking behind for a parcel we could not record
+      await adapter.cancelShipment(booking.trackingNumber).catch((cancelError) => {
+        console.error(
+          `❌ Could not cancel ${adapter.name} parcel ${booking.trackingNumber}, cancel it with the courier:`,
+          cancelError.message
+        );
+      });
+      throw error;
+    }
+
+    console.log(
+      `🚚 Booked ${adapter.name} parcel ${booking.trackingNumber} for order ${order.orderNumber}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Parcel booked with ${adapter.displayName || adapter.name}`,
+      shipment,
+      status: order.status,
+      unshippedItems: order.getUnshippedItems(),
+    });
+  } catch (error) {
+    if (sendShipmentError(res, error)) return;
+
+    console.error("❌ Error booking courier shipment:", error);
+    res.status(502).json({
+      success: false,
+      message: "Failed to book shipment with courier",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Download the courier label of a parcel (Admin only)
+// @route   GET /api/orders/:orderId/admin/shipments/:shipmentId/label
+// @access  Private (Admin only)
+router.get(
+  "/:orderId/admin/shipments/:shipmentId/label",
+  adminAuth,
+  async (req, res) => {
+    try {
+      const context = await findCourierShipment(req, res);
+      if (!context) return;
+
+      const { adapter, order, shipment } = context;
+      const label = await adapter.getLabel(shipment.trackingNumber, {
+        order,
+        shipment,
+      });
+
+      res.set({
+        "Content-Type": label.contentType,
+        "Content-Disposition": `attachment; filename="label-${shipment.trackingNumber}.pdf"`,
+      });
+      res.send(label.data);
+    } catch (error) {
+      console.error("❌ Error fetching label:", error);
+      res.status(502).json({
+        success: false,
+        message: "Failed to fetch label from courier",
+      });
+    }
+  }
+);
+
+// @desc    Refresh a parcel's status from the courier (Admin only)
+// @route   GET /api/orders/:orderId/admin/shipments/:shipmentId/status
+// @access  Private (Admin only)
+router.get(
+  "/:orderId/admin/shipments/:shipmentId/status",
+  adminAuth,
+  async (req, res) => {
+    try {
+      const context = await findCourierShipment(req, res);
+      if (!context) return;
+
+      const { adapter, order, shipment } = context;
+      const courierStatus = await adapter.getStatus(shipment.trackingNumber, {
+        order,
+        shipment,
+      });
+
+      // Same path as webhooks; already-known events are skipped
+      const actor = { type: "system", name: adapter.displayName || adapter.name };
+      for (const event of courierStatus.events || []) {
+        await order.applyCourierEvent(shipment._id, event, { actor });
+      }
+
+      res.json({
+        success: true,
+        courierStatus: courierStatus.status,
+        shipment: order.shipments.id(shipment._id),
+        status: order.status,
+      });
+    } catch (error) {
+      if (sendShipmentError(res, error)) return;
+
+      console.error("❌ Error fetching courier status:", error);
+      res.status(502).json({
+        success: false,
+        message: "Failed to fetch status from courier",
+      });
+    }
+  }
+);
+
+// @desc    Cancel a parcel with the courier (Admin only)
+// @route   PUT /api/orders/:orderId/admin/shipments/:shipmentId/cancel
+// @access  Private (Admin only)
+router.put(
+  "/:orderId/admin/shipments/:shipmentId/cancel",
+  adminAuth,
+  async (req, res) => {
+    try {
+      const order = await Order.findById(req.params.orderId);
+      const shipment = order?.shipments.id(req.params.shipmentId);
+
+      if (!shipment) {
+        return res.status(404).json({
+          success: false,
+          message: "Shipment not found",
+        });
+      }
+
+      // Parcels entered by hand have no booking to cancel
+      const adapter = getCourierAdapter(shipment.courier);
+      if (adapter && shipment.courierReference && shipment.status === "shipped") {
+        await adapter.cancelShipment(shipment.trackingNumber);
+      }
+
+      await order.cancelShipment(shipment._id, {
+        actor: getRequestActor(req),
+        note: req.body.reason
+          ? `Parcel cancelled: ${req.body.reason}`
+          : "Parcel cancelled",
+      });
+
+      res.json({
+        success: true,
+        message: "Parcel cancelled",
+        shipment,
+        status: order.status,
+        unshippedItems: order.getUnshippedItems(),
+      });
+    } catch (error) {
+      if (sendShipmentError(res, error)) return;
+
+      console.error("❌ Error cancelling shipment:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel shipment",
+      });
+    }
+  }
+);
+
+// Load order + parcel and the adapter that booked it. Sends the error itself.
+async function findCourierShipment(req, res) {
+  const order = await Order.findById(req.params.orderId);
+  const shipment = order?.shipments.id(req.params.shipmentId);
+
+  if (!shipment) {
+    res.status(404).json({
+      success: false,
+      message: "Shipment not found",
+    });
+    return null;
+  }
+
+  const adapter = getCourierAdapter(shipment.courier);
+  if (!adapter || !shipment.trackingNumber) {
+    res.status(400).json({
+      success: false,
+      message: "This parcel was not booked through a courier integration",
+    });
+    return null;
+  }
+
+  return { adapter, order, shipment };
+}
+
+// Respond to shipment errors raised by the Order model. Returns true if handled.
+function sendShipmentError(res, error) {
+  const statusByCode = {
+    INVALID_SHIPMENT: 400,
+    INVALID_STATUS_TRANSITION: 400,
+    SHIPMENT_NOT_FOUND: 404,
+    INSUFFICIENT_STOCK: 409,
+    COURIER_CANCEL_FAILED: 409,
+  };
+
+  if (!statusByCode[error.code]) return false;
+
+  res.status(statusByCode[error.code]).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...(error.allowedStatuses ? { allowedStatuses: error.allowedStatuses } : {}),
+  });
+  return true;
+}
+
+module.exports = router;
@@ -0,0 +1,101 @@
+//routes/shipping.js - Courier list and courier status webhooks
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const adminAuth = require("../middleware/adminAuth");
+const {
+  getCourierAdapter,
+  listCourierAdapters,
+} = require("../utils/couriers");
+
+// @desc    List available courier adapters (Admin only)
+// @route   GET /api/shipping/couriers
+// @access  Private (Admin only)
+router.get("/couriers", adminAuth, (req, res) => {
+  res.json({
+    success: true,
+    couriers: listCourierAdapters(),
+  });
+});
+
+// @desc    Receive tracking events from a courier
+// @route   POST /api/shipping/webhook/:courier
+// @access  Public (verified by the courier adapter)
+router.post("/webhook/:courier", async (req, res) => {
+  const adapter = getCourierAdapter(req.params.courier);
+
+  if (!adapter) {
+    return res.status(404).json({
+      success: false,
+      message: "Unknown courier",
+    });
+  }
+
+  if (!adapter.verifyWebhook(req)) {
+    console.warn(`⚠️ Rejected ${adapter.name} webhook with a bad signature`);
+    return res.status(401).json({
+      success: false,
+      message: "Invalid webhook signature",
+    });
+  }
+
+  try {
+    const events = adapter.parseWebhook(req);
+    const results = [];
+
+    // Events are applied in order so a retry of an older batch is harmless
+    for (const event of events) {
+      const order = await Order.findOne({
+        "shipments.trackingNumber": event.trackingNumber,
+      });
+      const shipment = order?.shipments.find(
+        (parcel) =>
+          parcel.trackingNumber === event.trackingNumber &&
+          (!parcel.courier || parcel.courier.toLowerCase() === adapter.name)
+      );
+
+      if (!shipment) {
+        results.push({ trackingNumber: event.trackingNumber, result: "unknown" });
+        continue;
+      }
+
+      try {
+        const applied = await order.applyCourierEvent(shipment._id, event, {
+          actor: { type: "system", name: adapter.displayName || adapter.name },
+        });
+        results.push({
+          trackingNumber: event.trackingNumber,
+          orderNumber: order.orderNumber,
+          result: applied ? "applied" : "duplicate",
+          orderStatus: order.status,
+        });
+      } catch (error) {
+        // One bad event must not make the courier retry the whole batch
+        console.error(
+          `❌ Could not apply ${event.status} for ${event.trackingNumber}:`,
+          error.message
+        );
+        results.push({
+          trackingNumber: event.trackingNumber,
+          result: "rejected",
+          message: error.message,
+        });
+      }
+    }
+
+    console.log(`🚚 ${adapter.name} webhook: ${results.length} event(s)`);
+
+    res.json({
+      success: true,
+      results,
+    });
+  } catch (error) {
+    console.error("❌ Error processing courier webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process webhook",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+//routes/upi.js - UPI intent link and QR code to pay an order
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const auth = require("../middleware/auth");
+const {
+  getUpiPayee,
+  buildUpiUri,
+  renderUpiQr,
+} = require("../utils/upiPayment");
+
+// Orders that are still waiting for a UPI payment
+const PAYABLE_STATUSES = ["pending", "payment_failed"];
+
+// @desc    UPI payment link and QR code for an order
+// @route   GET /api/orders/:orderId/upi?format=json|png|svg
+// @access  Private
+router.get("/:orderId/upi", auth, async (req, res) => {
+  try {
+    const format = (req.query.format || "json").toString().toLowerCase();
+    if (!["json", "png", "svg"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be json, png or svg",
+      });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (
+      !PAYABLE_STATUSES.includes(order.status) ||
+      ["COD", "RAZORPAY"].includes(order.payment.method)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `This order does not need a UPI payment (status: ${order.status})`,
+      });
+    }
+
+    const payee = await getUpiPayee();
+    if (!payee.enabled || !payee.upiId) {
+      return res.status(503).json({
+        success: false,
+        message: "UPI payments are not available right now",
+      });
+    }
+
+    // The order number as the note lets admins match the credit later
+    const upiUri = buildUpiUri({
+      upiId: payee.upiId,
+      payeeName: payee.payeeName,
+      amount: order.total,
+      note: order.orderNumber,
+    });
+
+    if (format === "png") {
+      const png = await renderUpiQr(upiUri, "png");
+      res.set({
+        "Content-Type": "image/png",
+        "Cache-Control": "private, no-store",
+      });
+      return res.send(png);
+    }
+
+    if (format === "svg") {
+      const svg = await renderUpiQr(upiUri, "svg");
+      res.set({
+        "Content-Type": "image/svg+xml",
+        "Cache-Control": "private, no-store",
+      });
+      return res.send(svg);
+    }
+
+    const png = await renderUpiQr(upiUri, "png");
+
+    res.json({
+      success: true,
+      upi: {
+        uri: upiUri,
+        upiId: payee.upiId,
+        payeeName: payee.payeeName,
+        amount: order.total,
+        note: order.orderNumber,
+        qrCode: `data:image/png;base64,${png.toString("base64")}`,
+      },
+    });
+  } catch (error) {
+    if (error.code === "UPI_NOT_CONFIGURED") {
+      console.error("❌ UPI ID in settings is invalid:", error.message);
+      return res.status(503).json({
+        success: false,
+        message: "UPI payments are not available right now",
+      });
+    }
+
+    console.error("❌ Error generating UPI payment link:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate UPI payment details",
+    });
+  }
+});
+
+module.exports = router;
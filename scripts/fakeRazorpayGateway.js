@@ -0,0 +1,180 @@
+// scripts/fakeRazorpayGateway.js - Local stand-in for the Razorpay API
+//
+// Start it, point the backend at it and pay orders without real money:
+//
+//   node scripts/fakeRazorpayGateway.js
+//   RAZORPAY_API_URL=http://localhost:4010/v1 npm start
+//
+// POST /v1/orders                 Same contract as Razorpay (basic auth)
+// POST /v1/orders/:id/pay         Simulate Checkout: body { outcome: 'captured' | 'failed' }
+//                                 Sends the signed webhook and returns the
+//                                 fields Checkout hands to /api/payments/razorpay/verify
+// POST /v1/payments/:id/refund    Same contract as Razorpay; refunds a captured payment
+//
+// Uses the same RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET / RAZORPAY_WEBHOOK_SECRET
+// as the backend so signatures verify.
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+require('dotenv').config();
+
+const PORT = parseInt(process.env.FAKE_RAZORPAY_PORT) || 4010;
+const WEBHOOK_URL =
+  process.env.FAKE_RAZORPAY_WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 5000}/api/payments/razorpay/webhook`;
+
+const orders = new Map();
+const payments = new Map();
+const randomId = (prefix) =>
+  `${prefix}_${crypto.randomBytes(7).toString('base64url').slice(0, 14)}`;
+const sign = (secret, payload) =>
+  crypto.createHmac('sha256', secret || '').update(payload).digest('hex');
+
+const app = express();
+app.use(express.json());
+
+// Basic auth with the configured key pair, like the real API
+app.use('/v1', (req, res, next) => {
+  const expected = `Basic ${Buffer.from(
+    `${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`
+  ).toString('base64')}`;
+
+  if (req.get('authorization') !== expected) {
+    return res.status(401).json({
+      error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' },
+    });
+  }
+  next();
+});
+
+app.post('/v1/orders', (req, res) => {
+  const amount = parseInt(req.body.amount);
+  if (!amount || amount < 100) {
+    return res.status(400).json({
+      error: {
+        code: 'BAD_REQUEST_ERROR',
+        description: 'Order amount less than minimum amount allowed',
+      },
+    });
+  }
+
+  const order = {
+    id: randomId('order'),
+    entity: 'order',
+    amount,
+    amount_paid: 0,
+    currency: req.body.currency || 'INR',
+    receipt: req.body.receipt,
+    notes: req.body.notes || {},
+    status: 'created',
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  orders.set(order.id, order);
+  res.json(order);
+});
+
+app.post('/v1/orders/:id/pay', async (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) {
+    return res.status(404).json({
+      error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' },
+    });
+  }
+
+  const captured = (req.body.outcome || 'captured') === 'captured';
+  const payment = {
+    id: randomId('pay'),
+    entity: 'payment',
+    order_id: order.id,
+    amount: req.body.amount ? parseInt(req.body.amount) : order.amount,
+    currency: order.currency,
+    method: req.body.method || 'upi',
+    status: captured ? 'captured' : 'failed',
+    error_description: captured ? null : 'Payment was declined by the bank',
+  };
+  if (captured) order.status = 'paid';
+  payments.set(payment.id, { ...payment, amount_refunded: 0 });
+
+  const body = JSON.stringify({
+    entity: 'event',
+    event: captured ? 'payment.captured' : 'payment.failed',
+    payload: { payment: { entity: payment } },
+    created_at: Math.floor(Date.now() / 1000),
+  });
+
+  let webhook;
+  try {
+    const response = await axios.post(WEBHOOK_URL, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': sign(process.env.RAZORPAY_WEBHOOK_SECRET, body),
+        'X-Razorpay-Event-Id': randomId('evt'),
+      },
+      timeout: 10000,
+      validateStatus: () => true,
+    });
+    webhook = { status: response.status, body: response.data };
+  } catch (error) {
+    webhook = { error: error.message };
+  }
+
+  res.json({
+    payment,
+    webhook,
+    checkout: captured
+      ? {
+          razorpay_order_id: order.id,
+          razorpay_payment_id: payment.id,
+          razorpay_signature: sign(
+            process.env.RAZORPAY_KEY_SECRET,
+            `${order.id}|${payment.id}`
+          ),
+        }
+      : null,
+  });
+});
+
+app.post('/v1/payments/:id/refund', (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment || payment.status !== 'captured') {
+    return res.status(400).json({
+      error: {
+        code: 'BAD_REQUEST_ERROR',
+        description: 'The payment has not been captured',
+      },
+    });
+  }
+
+  const amount = req.body.amount
+    ? parseInt(req.body.amount)
+    : payment.amount - payment.amount_refunded;
+  if (!amount || amount > payment.amount - payment.amount_refunded) {
+    return res.status(400).json({
+      error: {
+        code: 'BAD_REQUEST_ERROR',
+        description: 'The refund amount provided is greater than amount captured',
+      },
+    });
+  }
+
+  payment.amount_refunded += amount;
+  res.json({
+    id: randomId('rfnd'),
+    entity: 'refund',
+    amount,
+    currency: payment.currency,
+    payment_id: payment.id,
+    notes: req.body.notes || {},
+    status: 'processed',
+    created_at: Math.floor(Date.now() / 1000),
+  });
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`💳 Fake Razorpay gateway on http://localhost:${PORT}/v1`);
+    console.log(`   Webhooks go to ${WEBHOOK_URL}`);
+  });
+}
+
+module.exports = app;
@@ -20,12 +20,26 @@ app.use(cors({
   origin: ['http://localhost:3000','https://lionbidi.vercel.app','https://lionbidi.shop', 'https://www.lionbidi.shop','https://lionbidi.in', 'https://www.lionbidi.in'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'admin-key', 'x-admin-key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'admin-key', 'x-admin-key', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Content-Disposition', 'X-Orders-Processing', 'X-Orders-Not-Moved']
 }));
 
 // Middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Files (payment screenshots, message attachments, return photos) arrive as
+// multipart uploads, so JSON bodies stay small.
+app.use(express.json({
+  limit: '1mb',
+  // Keep the raw bytes for webhook signature checks
+  verify: (req, res, buf) => {
+    if (
+      req.originalUrl.startsWith('/api/shipping/webhook') ||
+      req.originalUrl.startsWith('/api/payments/razorpay/webhook')
+    ) {
+      req.rawBody = buf;
+    }
+  }
+}));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Database connection
 async function connectDB() {
@@ -117,6 +131,123 @@ try {
   console.error("❌ Error loading order routes:", error.message);
 }
 
+try {
+  console.log("↩️ Loading return routes...");
+  const returnRoutes = require('./routes/returns');
+  app.use('/api/orders', returnRoutes);
+  console.log("✅ Return routes loaded");
+} catch (error) {
+  console.error("❌ Error loading return routes:", error.message);
+}
+
+try {
+  console.log("💸 Loading refund routes...");
+  const refundRoutes = require('./routes/refunds');
+  app.use('/api/orders', refundRoutes);
+  console.log("✅ Refund routes loaded");
+} catch (error) {
+  console.error("❌ Error loading refund routes:", error.message);
+}
+
+try {
+  console.log("🧾 Loading invoice routes...");
+  const invoiceRoutes = require('./routes/invoices');
+  app.use('/api/orders', invoiceRoutes);
+  console.log("✅ Invoice routes loaded");
+} catch (error) {
+  console.error("❌ Error loading invoice routes:", error.message);
+}
+
+try {
+  console.log("💬 Loading order message routes...");
+  const messageRoutes = require('./routes/messages');
+  app.use('/api/orders', messageRoutes);
+  console.log("✅ Order message routes loaded");
+} catch (error) {
+  console.error("❌ Error loading order message routes:", error.message);
+}
+
+try {
+  console.log("📦 Loading shipment routes...");
+  const shipmentRoutes = require('./routes/shipments');
+  app.use('/api/orders', shipmentRoutes);
+  console.log("✅ Shipment routes loaded");
+} catch (error) {
+  console.error("❌ Error loading shipment routes:", error.message);
+}
+
+try {
+  console.log("🏦 Loading reconciliation routes...");
+  const reconciliationRoutes = require('./routes/reconciliation');
+  app.use('/api/orders', reconciliationRoutes);
+  console.log("✅ Reconciliation routes loaded");
+} catch (error) {
+  console.error("❌ Error loading reconciliation routes:", error.message);
+}
+
+try {
+  console.log("📲 Loading UPI routes...");
+  const upiRoutes = require('./routes/upi');
+  app.use('/api/orders', upiRoutes);
+  console.log("✅ UPI routes loaded");
+} catch (error) {
+  console.error("❌ Error loading UPI routes:", error.message);
+}
+
+try {
+  console.log("💵 Loading COD routes...");
+  const codRoutes = require('./routes/cod');
+  app.use('/api/orders', codRoutes);
+  console.log("✅ COD routes loaded");
+} catch (error) {
+  console.error("❌ Error loading COD routes:", error.message);
+}
+
+try {
+  console.log("📋 Loading bulk order routes...");
+  const bulkOrderRoutes = require('./routes/bulkOrders');
+  app.use('/api/orders', bulkOrderRoutes);
+  console.log("✅ Bulk order routes loaded");
+} catch (error) {
+  console.error("❌ Error loading bulk order routes:", error.message);
+}
+
+try {
+  console.log("🏷️ Loading dispatch routes...");
+  const dispatchRoutes = require('./routes/dispatch');
+  app.use('/api/orders', dispatchRoutes);
+  console.log("✅ Dispatch routes loaded");
+} catch (error) {
+  console.error("❌ Error loading dispatch routes:", error.message);
+}
+
+try {
+  console.log("🚚 Loading shipping routes...");
+  const shippingRoutes = require('./routes/shipping');
+  app.use('/api/shipping', shippingRoutes);
+  console.log("✅ Shipping routes loaded");
+} catch (error) {
+  console.error("❌ Error loading shipping routes:", error.message);
+}
+
+try {
+  console.log("💳 Loading payment routes...");
+  const paymentRoutes = require('./routes/payments');
+  app.use('/api/payments', paymentRoutes);
+  console.log("✅ Payment routes loaded");
+} catch (error) {
+  console.error("❌ Error loading payment routes:", error.message);
+}
+
+try {
+  console.log("🗂️ Loading file routes...");
+  const fileRoutes = require('./routes/files');
+  app.use('/api/files', fileRoutes);
+  console.log("✅ File routes loaded");
+} catch (error) {
+  console.error("❌ Error loading file routes:", error.message);
+}
+
 try {
   console.log("👥 Loading user routes...");
   const userRoutes = require('./routes/users');
@@ -210,6 +341,12 @@ app.listen(PORT, () => {
   console.log(`🏥 Health check: http://localhost:${PORT}/health`);
   console.log(`👑 Admin login: http://localhost:${PORT}/api/admin/simple-login`);
   console.log(`👤 Auth routes: http://localhost:${PORT}/api/auth/`);
+
+  // Background jobs
+  if (process.env.ORDER_EXPIRY_SWEEPER !== 'false') {
+    const { startOrderExpirySweeper } = require('./utils/orderExpirySweeper');
+    startOrderExpirySweeper();
+  }
 });
 
 module.exports = app;
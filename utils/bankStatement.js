@@ -0,0 +1,472 @@
+// utils/bankStatement.js - Parse bank/UPI statement CSVs and match credits to orders
+//
+// Bank exports differ in column names and usually start with a few lines of
+// account details, so the header row is found by looking for a known date
+// and credit column. A custom mapping ({ date, description, reference,
+// credit }) can be passed for formats not listed here.
+//
+// Proposed matches carry a signed matchToken. Approving sends the tokens
+// back, so an approval can only confirm a credit this server proposed.
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const AMOUNT_TOLERANCE = 0.01;
+
+// A credit may land a day before the customer submits, or a few days after
+const MATCH_WINDOW_DAYS = { before: 1, after: 3 };
+
+const MATCH_TOKEN_TTL_HOURS = 24;
+
+// Column names per bank (matched case-insensitively, ignoring punctuation)
+const BANK_FORMATS = {
+  sbi: {
+    label: 'State Bank of India',
+    date: ['Txn Date', 'Value Date'],
+    description: ['Description'],
+    reference: ['Ref No./Cheque No.', 'Ref No/Cheque No'],
+    credit: ['Credit'],
+  },
+  hdfc: {
+    label: 'HDFC Bank',
+    date: ['Date', 'Value Dt'],
+    description: ['Narration'],
+    reference: ['Chq./Ref.No.', 'Chq/Ref Number'],
+    credit: ['Deposit Amt.', 'Deposit Amount'],
+  },
+  icici: {
+    label: 'ICICI Bank',
+    date: ['Transaction Date', 'Value Date'],
+    description: ['Transaction Remarks'],
+    reference: ['Cheque Number'],
+    credit: ['Deposit Amount (INR )', 'Deposit Amount (INR)', 'Deposit Amount'],
+  },
+  axis: {
+    label: 'Axis Bank',
+    date: ['Tran Date', 'Transaction Date'],
+    description: ['PARTICULARS'],
+    reference: ['CHQNO', 'Cheque No'],
+    credit: ['CR', 'Credit'],
+  },
+  kotak: {
+    label: 'Kotak Mahindra Bank',
+    date: ['Transaction Date', 'Date'],
+    description: ['Description', 'Narration'],
+    reference: ['Chq / Ref No.', 'Chq/Ref No'],
+    credit: ['Credit', 'Deposit'],
+  },
+  generic: {
+    label: 'Generic (Date, Description, Reference, Credit)',
+    date: ['Date', 'Transaction Date', 'Txn Date', 'Value Date'],
+    description: ['Description', 'Narration', 'Remarks', 'Particulars', 'Details'],
+    reference: ['UTR', 'UTR No', 'Reference', 'Reference No', 'Ref No', 'Transaction ID', 'UPI Ref No'],
+    credit: ['Credit', 'Credit Amount', 'Deposit', 'Amount'],
+  },
+};
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+};
+
+const normalizeHeader = (value) =>
+  (value || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Split CSV text into rows of fields (handles quotes and CRLF)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.map((cells) => cells.map((cell) => cell.trim()));
+}
+
+/**
+ * Parse a statement date as midnight IST
+ * Accepts DD/MM/YYYY, DD-MM-YY, DD MMM YYYY, DD-MMM-YY and YYYY-MM-DD
+ * @returns {Date|null}
+ */
+function parseStatementDate(value) {
+  const text = (value || '').toString().trim();
+  let day;
+  let month;
+  let year;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    [, year, month, day] = match.map(Number);
+    month -= 1;
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/))) {
+    [, day, month, year] = match.map(Number);
+    month -= 1;
+  } else if ((match = text.match(/^(\d{1,2})[\s/-]([A-Za-z]{3})[a-z]*[\s/-](\d{2,4})/))) {
+    day = Number(match[1]);
+    month = MONTHS[match[2].toLowerCase()];
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (month == null || month < 0 || month > 11 || day < 1 || day > 31) return null;
+  if (year < 100) year += 2000;
+
+  return new Date(Date.UTC(year, month, day) - IST_OFFSET_MS);
+}
+
+// "1,234.50", "₹ 1234.5 Cr" -> 1234.5
+function parseAmount(value) {
+  const cleaned = (value || '').toString().replace(/[^0-9.-]/g, '');
+  const amount = parseFloat(cleaned);
+  return Number.isFinite(amount) ? roundAmount(amount) : null;
+}
+
+// References a UPI app or bank may show: 12-digit UTR/RRN and other long tokens
+function extractReferences(...texts) {
+  const tokens = new Set();
+  texts
+    .filter(Boolean)
+    .join(' ')
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter((token) => token.length >= 8 && /\d/.test(token))
+    .forEach((token) => {
+      tokens.add(token);
+      // Banks often zero-pad the UTR in the reference column
+      const unpadded = token.replace(/^0+/, '');
+      if (unpadded.length >= 8) tokens.add(unpadded);
+    });
+  return Array.from(tokens);
+}
+
+// Index of the first header in the row matching one of the names
+function findColumn(headerRow, names = []) {
+  const wanted = names.map(normalizeHeader);
+  for (const name of wanted) {
+    const index = headerRow.findIndex((cell) => normalizeHeader(cell) === name);
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+function resolveColumns(headerRow, format) {
+  return {
+    date: findColumn(headerRow, format.date),
+    description: findColumn(headerRow, format.description),
+    reference: findColumn(headerRow, format.reference),
+    credit: findColumn(headerRow, format.credit),
+  };
+}
+
+/**
+ * Parse a statement CSV into credits
+ * @param {Buffer|string} content - CSV file
+ * @param {object} [options]
+ * @param {string} [options.format] - Key of BANK_FORMATS (auto-detected if omitted)
+ * @param {object} [options.mapping] - Custom column names { date, description, reference, credit }
+ * @returns {object} { format, credits: [{ row, date, amount, description, reference, references }], skippedRows }
+ */
+function parseStatement(content, { format, mapping } = {}) {
+  const rows = parseCsv(content.toString('utf8'));
+
+  let candidates;
+  if (mapping) {
+    const custom = Object.fromEntries(
+      ['date', 'description', 'reference', 'credit'].map((key) => [
+        key,
+        [].concat(mapping[key] || []),
+      ])
+    );
+    candidates = [['custom', { label: 'Custom mapping', ...custom }]];
+  } else if (format) {
+    if (!BANK_FORMATS[format]) {
+      const error = new Error(`Unknown statement format '${format}'`);
+      error.code = 'INVALID_STATEMENT';
+      throw error;
+    }
+    candidates = [[format, BANK_FORMATS[format]]];
+  } else {
+    candidates = Object.entries(BANK_FORMATS);
+  }
+
+  // Header is the first row where a format finds its date and credit
+  // columns; the format recognising the most columns wins
+  let header = null;
+  for (const [rowIndex, row] of rows.entries()) {
+    for (const [key, definition] of candidates) {
+      const columns = resolveColumns(row, definition);
+      if (columns.date === -1 || columns.credit === -1) continue;
+
+      const found = Object.values(columns).filter((index) => index !== -1).length;
+      if (!header || found > header.found) {
+        header = { rowIndex, key, label: definition.label, columns, found };
+      }
+    }
+    if (header) break;
+  }
+
+  if (!header) {
+    const error = new Error(
+      'Could not find the date and credit columns in this statement. Choose the bank format or pass a column mapping.'
+    );
+    error.code = 'INVALID_STATEMENT';
+    throw error;
+  }
+
+  const { columns } = header;
+  const credits = [];
+  let skippedRows = 0;
+
+  rows.slice(header.rowIndex + 1).forEach((row, offset) => {
+    const date = parseStatementDate(row[columns.date]);
+    const amount = parseAmount(row[columns.credit]);
+
+    // Debits, blank lines and closing balance rows have no usable credit
+    if (!date || !amount || amount <= 0) {
+      if (row.some((cell) => cell)) skippedRows++;
+      return;
+    }
+
+    const description = columns.description !== -1 ? row[columns.description] : '';
+    const reference = columns.reference !== -1 ? row[columns.reference] : '';
+
+    credits.push({
+      row: header.rowIndex + offset + 2, // 1-based line number in the file
+      date,
+      amount,
+      description,
+      reference,
+      references: extractReferences(reference, description),
+    });
+  });
+
+  return {
+    format: { key: header.key, label: header.label },
+    credits,
+    skippedRows,
+  };
+}
+
+/**
+ * Pair statement credits with orders awaiting payment verification.
+ * The amount must match; the transaction ID or order number in the
+ * narration makes a match 'high' confidence, and a credit that only
+ * matches on amount and date is 'medium' when it is the only candidate.
+ * Each credit and order is used at most once.
+ * @param {Array} credits - From parseStatement()
+ * @param {Array} orders - Orders in pending_verification
+ * @returns {object} { matches, unmatchedCredits, unmatchedOrders }
+ */
+function matchCredits(credits, orders) {
+  const pairs = [];
+
+  orders.forEach((order) => {
+    const transactionId = (order.payment?.transactionId || '').toUpperCase();
+    const orderNumber = (order.orderNumber || '').toUpperCase();
+    const placedAt = new Date(order.orderDate || order.createdAt).getTime();
+    const submittedAt = new Date(order.payment?.submittedAt || placedAt).getTime();
+    const windowStart = placedAt - MATCH_WINDOW_DAYS.before * DAY_MS;
+    const windowEnd = submittedAt + (MATCH_WINDOW_DAYS.after + 1) * DAY_MS;
+
+    credits.forEach((credit, creditIndex) => {
+      if (Math.abs(credit.amount - order.total) > AMOUNT_TOLERANCE) return;
+
+      const matchedOn = ['amount'];
+      if (transactionId && credit.references.includes(transactionId)) {
+        matchedOn.push('transaction_id');
+      }
+      if (
+        orderNumber &&
+        `${credit.description} ${credit.reference}`.toUpperCase().includes(orderNumber)
+      ) {
+        matchedOn.push('order_number');
+      }
+      const time = credit.date.getTime();
+      if (time >= windowStart && time < windowEnd) {
+        matchedOn.push('date');
+      }
+
+      const strong =
+        matchedOn.includes('transaction_id') || matchedOn.includes('order_number');
+      if (!strong && !matchedOn.includes('date')) return;
+
+      pairs.push({ order, creditIndex, matchedOn, strong });
+    });
+  });
+
+  // Amount + date alone is only trusted when neither side has another candidate
+  const countBy = (key) =>
+    pairs.reduce((counts, pair) => {
+      const id = key(pair);
+      counts[id] = (counts[id] || 0) + 1;
+      return counts;
+    }, {});
+  const perCredit = countBy((pair) => pair.creditIndex);
+  const perOrder = countBy((pair) => pair.order._id.toString());
+
+  const ranked = pairs
+    .filter(
+      (pair) =>
+        pair.strong ||
+        (perCredit[pair.creditIndex] === 1 &&
+          perOrder[pair.order._id.toString()] === 1)
+    )
+    .sort((a, b) => b.matchedOn.length - a.matchedOn.length);
+
+  const usedCredits = new Set();
+  const usedOrders = new Set();
+  const matches = [];
+
+  ranked.forEach(({ order, creditIndex, matchedOn, strong }) => {
+    const orderId = order._id.toString();
+    if (usedCredits.has(creditIndex) || usedOrders.has(orderId)) return;
+    usedCredits.add(creditIndex);
+    usedOrders.add(orderId);
+
+    const credit = credits[creditIndex];
+    matches.push({
+      orderId,
+      orderNumber: order.orderNumber,
+      customerName: order.shippingAddress?.name,
+      orderTotal: order.total,
+      transactionId: order.payment?.transactionId || null,
+      submittedAt: order.payment?.submittedAt || null,
+      confidence: strong ? 'high' : 'medium',
+      matchedOn,
+      credit,
+      reference: matchedReference(
+        credit,
+        matchedOn.includes('transaction_id') ? order.payment.transactionId : null
+      ),
+    });
+  });
+
+  return {
+    matches,
+    unmatchedCredits: credits.filter((credit, index) => !usedCredits.has(index)),
+    unmatchedOrders: orders
+      .filter((order) => !usedOrders.has(order._id.toString()))
+      .map((order) => ({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        total: order.total,
+        transactionId: order.payment?.transactionId || null,
+      })),
+  };
+}
+
+// The UTR a match confirms: the order's transaction ID when the credit
+// carries it, otherwise the credit's first reference. Leading zeros are
+// dropped because banks pad the UTR inconsistently.
+function matchedReference(credit, transactionId) {
+  const reference =
+    transactionId ||
+    extractReferences(credit.reference)[0] ||
+    credit.references[0] ||
+    '';
+  return reference.toUpperCase().replace(/^0+/, '') || null;
+}
+
+function getSigningSecret() {
+  const secret = process.env.RECONCILIATION_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('RECONCILIATION_SECRET (or JWT_SECRET) must be set to sign statement matches');
+  }
+  return secret;
+}
+
+const signPayload = (payload) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('hex');
+
+/**
+ * Sign the order, credit and reference of a proposed match
+ * @param {object} match - From matchCredits()
+ * @returns {string} matchToken
+ */
+function signMatch(match) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      orderId: match.orderId,
+      amount: match.credit.amount,
+      date: match.credit.date,
+      reference: match.reference,
+      expires: Date.now() + MATCH_TOKEN_TTL_HOURS * 60 * 60 * 1000,
+    })
+  ).toString('base64url');
+  return `${payload}.${signPayload(payload)}`;
+}
+
+/**
+ * Read a matchToken back
+ * @returns {object|null} { orderId, amount, date, reference } or null if
+ *   the token is forged or expired
+ */
+function readMatchToken(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature = ''] = token.split('.');
+  const expected = signPayload(payload);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  const match = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (!(match.expires > Date.now())) return null;
+  return {
+    orderId: match.orderId,
+    amount: match.amount,
+    date: match.date ? new Date(match.date) : null,
+    reference: match.reference,
+  };
+}
+
+module.exports = {
+  parseStatement,
+  parseCsv,
+  parseStatementDate,
+  matchCredits,
+  signMatch,
+  readMatchToken,
+  BANK_FORMATS,
+  AMOUNT_TOLERANCE,
+};
@@ -0,0 +1,131 @@
+// utils/codEligibility.js - Cash on Delivery availability and fee
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Settings = require('../models/Settings');
+
+const COD_METHOD = 'COD';
+
+// Used when admin Settings has no cod section (or the DB is down)
+const DEFAULT_COD_SETTINGS = {
+  enabled: false,
+  fee: 49,
+  minOrderValue: 0,
+  maxOrderValue: 10000, // 0 = no limit
+  allowedPincodes: [], // empty = every pincode
+  blockedPincodes: [],
+  maxRecentRefusals: 0,
+  refusalLookbackDays: 180,
+};
+
+const isCodMethod = (method) =>
+  (method || '').toString().trim().toUpperCase() === COD_METHOD;
+
+/**
+ * COD rules from admin Settings merged over the defaults
+ */
+async function getCodSettings() {
+  if (mongoose.connection.readyState !== 1) return DEFAULT_COD_SETTINGS;
+
+  try {
+    const settings = await Settings.findOne({ type: 'admin' }).lean();
+    const cod = settings?.cod || {};
+
+    return {
+      ...DEFAULT_COD_SETTINGS,
+      ...cod,
+      allowedPincodes: cod.allowedPincodes || [],
+      blockedPincodes: cod.blockedPincodes || [],
+    };
+  } catch (error) {
+    console.error('Error loading COD settings:', error.message);
+    return DEFAULT_COD_SETTINGS;
+  }
+}
+
+/**
+ * COD orders of a customer that came back refused since a date
+ */
+async function countRecentRefusals(userId, since) {
+  if (!userId) return 0;
+
+  return Order.countDocuments({
+    userId,
+    'payment.method': COD_METHOD,
+    'payment.cod.status': 'refused',
+    'payment.cod.refusedAt': { $gte: since },
+  });
+}
+
+/**
+ * Check whether a customer may pay cash on delivery for an order
+ * @param {object} params
+ * @param {string} params.userId - Customer placing the order
+ * @param {string} params.pincode - Delivery pincode
+ * @param {number} params.orderValue - Items value after discounts (before delivery)
+ * @param {object} [params.settings] - From getCodSettings()
+ * @returns {Promise<object>} { eligible, fee, reasons: [{ code, message }] }
+ */
+async function checkCodEligibility({ userId, pincode, orderValue, settings }) {
+  const rules = settings || (await getCodSettings());
+  const reasons = [];
+  const cleanPincode = (pincode || '').toString().replace(/\D/g, '');
+  const value = Number(orderValue) || 0;
+
+  if (!rules.enabled) {
+    reasons.push({
+      code: 'COD_DISABLED',
+      message: 'Cash on Delivery is currently unavailable',
+    });
+  }
+
+  if (
+    rules.blockedPincodes.includes(cleanPincode) ||
+    (rules.allowedPincodes.length > 0 &&
+      !rules.allowedPincodes.includes(cleanPincode))
+  ) {
+    reasons.push({
+      code: 'COD_PINCODE_NOT_SERVED',
+      message: `Cash on Delivery is not available for pincode ${cleanPincode}`,
+    });
+  }
+
+  if (value < rules.minOrderValue) {
+    reasons.push({
+      code: 'COD_BELOW_MINIMUM',
+      message: `Cash on Delivery is available on orders of Rs. ${rules.minOrderValue} or more`,
+    });
+  }
+
+  if (rules.maxOrderValue > 0 && value > rules.maxOrderValue) {
+    reasons.push({
+      code: 'COD_ABOVE_MAXIMUM',
+      message: `Cash on Delivery is available on orders up to Rs. ${rules.maxOrderValue}`,
+    });
+  }
+
+  const since = new Date(
+    Date.now() - rules.refusalLookbackDays * 24 * 60 * 60 * 1000
+  );
+  const refusals = await countRecentRefusals(userId, since);
+  if (refusals > rules.maxRecentRefusals) {
+    reasons.push({
+      code: 'COD_RECENT_REFUSALS',
+      message:
+        'Cash on Delivery is unavailable because a recent COD delivery was refused. Please pay online.',
+    });
+  }
+
+  return {
+    eligible: reasons.length === 0,
+    fee: rules.fee,
+    reasons,
+  };
+}
+
+module.exports = {
+  checkCodEligibility,
+  getCodSettings,
+  isCodMethod,
+  COD_METHOD,
+  DEFAULT_COD_SETTINGS,
+};
@@ -0,0 +1,15 @@
+// utils/couriers/constants.js - Courier vocabulary shared by all adapters
+
+// Normalised tracking event statuses every adapter maps its own codes onto
+const COURIER_EVENT_STATUSES = [
+  'booked',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'delivery_failed',
+  'returned_to_origin',
+  'cancelled',
+];
+
+module.exports = { COURIER_EVENT_STATUSES };
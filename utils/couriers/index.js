@@ -0,0 +1,72 @@
+// utils/couriers/index.js - Courier adapter registry
+//
+// Every courier adapter implements the same interface:
+//
+//   name                                   Key used in URLs and on shipments
+//   displayName                            Shown to customers
+//   createShipment(order, { items, notes }) -> { trackingNumber, trackingUrl,
+//                                               courierReference, status }
+//   getLabel(trackingNumber, context)      -> { contentType, data (Buffer) }
+//   getStatus(trackingNumber, context)     -> { status, events: [event] }
+//   cancelShipment(trackingNumber)         -> { cancelled: true }
+//   verifyWebhook(req)                     -> boolean
+//   parseWebhook(req)                      -> [{ trackingNumber, ...event }]
+//
+// context is { order, shipment } so adapters can fall back to stored data.
+// An event is { eventId, status, description, location, occurredAt }; eventId
+// (the courier's own id) and occurredAt are optional but make dedupe exact.
+// Events use the normalised statuses in COURIER_EVENT_STATUSES so the
+// Order model does not need to know any courier's vocabulary.
+const localCourier = require('./localCourier');
+const { COURIER_EVENT_STATUSES } = require('./constants');
+
+const adapters = new Map();
+
+/**
+ * Register a courier adapter (replaces one with the same name)
+ */
+function registerCourierAdapter(adapter) {
+  const required = [
+    'createShipment',
+    'getLabel',
+    'getStatus',
+    'cancelShipment',
+    'verifyWebhook',
+    'parseWebhook',
+  ];
+  const missing = required.filter((method) => typeof adapter[method] !== 'function');
+
+  if (!adapter.name || missing.length > 0) {
+    throw new Error(
+      `Invalid courier adapter ${adapter.name || '(unnamed)'}: missing ${missing.join(', ') || 'name'}`
+    );
+  }
+
+  adapters.set(adapter.name.toLowerCase(), adapter);
+  return adapter;
+}
+
+/**
+ * Look up an adapter by name
+ * @returns {object|null}
+ */
+function getCourierAdapter(name) {
+  if (!name) return null;
+  return adapters.get(name.toString().toLowerCase()) || null;
+}
+
+function listCourierAdapters() {
+  return Array.from(adapters.values()).map((adapter) => ({
+    name: adapter.name,
+    displayName: adapter.displayName || adapter.name,
+  }));
+}
+
+registerCourierAdapter(localCourier);
+
+module.exports = {
+  registerCourierAdapter,
+  getCourierAdapter,
+  listCourierAdapters,
+  COURIER_EVENT_STATUSES,
+};
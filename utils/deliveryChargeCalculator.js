@@ -1,5 +1,9 @@
 // utils/deliveryChargeCalculator.js - MP ₹70, Rest ₹120
 const axios = require('axios');
+const {
+  estimateDeliveryWindow,
+  getDeliverySchedule,
+} = require('./deliveryEstimator');
 
 // Delivery charge structure
 const DELIVERY_CHARGES = {
@@ -72,7 +76,7 @@ function normalizeState(state) {
  * Calculate delivery charges based on state
  * @param {string} customerPincode - Customer's pincode
  * @param {number} orderAmount - Order total amount
- * @returns {object} Delivery information
+ * @returns {object} Delivery information (charges and estimated delivery window)
  */
 async function calculateDeliveryCharges(customerPincode, orderAmount = 0) {
   try {
@@ -111,6 +115,11 @@ async function calculateDeliveryCharges(customerPincode, orderAmount = 0) {
 
     // Apply free delivery if eligible
     const finalCharges = isFreeDeliveryEligible ? 0 : baseCharges;
+
+    const estimatedDelivery = estimateDeliveryWindow({
+      isMadhyaPradesh: customerState === storeState,
+      schedule: await getDeliverySchedule(),
+    });
     
     if (isFreeDeliveryEligible) {
       description = `Free Delivery (Order above ₹${FREE_DELIVERY_THRESHOLD})`;
@@ -126,6 +135,7 @@ async function calculateDeliveryCharges(customerPincode, orderAmount = 0) {
       isFreeDelivery: isFreeDeliveryEligible,
       freeDeliveryThreshold: FREE_DELIVERY_THRESHOLD,
       isMadhyaPradesh: customerState === storeState,
+      estimatedDelivery,
     };
   } catch (error) {
     console.error('Error calculating delivery charges:', error);
@@ -144,6 +154,7 @@ async function calculateDeliveryCharges(customerPincode, orderAmount = 0) {
       isFreeDelivery: isFreeDeliveryEligible,
       freeDeliveryThreshold: FREE_DELIVERY_THRESHOLD,
       isMadhyaPradesh: false,
+      estimatedDelivery: estimateDeliveryWindow({ isMadhyaPradesh: false }),
       error: error.message,
     };
   }
@@ -154,4 +165,5 @@ module.exports = {
   DELIVERY_CHARGES,
   FREE_DELIVERY_THRESHOLD,
   STORE_STATE,
+  normalizeState,
 };
\ No newline at end of file
@@ -0,0 +1,133 @@
+// utils/deliveryEstimator.js - Estimated delivery window for a delivery quote
+const mongoose = require('mongoose');
+const Settings = require('../models/Settings');
+
+// Used when admin Settings has no delivery section (or the DB is down)
+const DEFAULT_DELIVERY_SCHEDULE = {
+  dispatchCutoffTime: '14:00', // IST; orders after this start the next day
+  handlingDays: 1, // working days to pack before dispatch
+  transitDays: {
+    madhyaPradesh: { min: 1, max: 3 },
+    restOfIndia: { min: 3, max: 7 },
+  },
+  workingDays: [1, 2, 3, 4, 5, 6], // Monday–Saturday (0 = Sunday)
+  holidays: [], // 'YYYY-MM-DD'
+};
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar day in IST as 'YYYY-MM-DD'
+const toDayKey = (time) => new Date(time + IST_OFFSET_MS).toISOString().slice(0, 10);
+// Midnight IST of a day key
+const dayStart = (dayKey) => Date.parse(`${dayKey}T00:00:00Z`) - IST_OFFSET_MS;
+
+/**
+ * Delivery schedule from admin Settings merged over the defaults
+ */
+async function getDeliverySchedule() {
+  if (mongoose.connection.readyState !== 1) return DEFAULT_DELIVERY_SCHEDULE;
+
+  try {
+    const settings = await Settings.findOne({ type: 'admin' }).lean();
+    const delivery = settings?.delivery || {};
+
+    return {
+      ...DEFAULT_DELIVERY_SCHEDULE,
+      ...delivery,
+      transitDays: {
+        ...DEFAULT_DELIVERY_SCHEDULE.transitDays,
+        ...(delivery.transitDays || {}),
+      },
+      workingDays: delivery.workingDays?.length
+        ? delivery.workingDays
+        : DEFAULT_DELIVERY_SCHEDULE.workingDays,
+      holidays: delivery.holidays || [],
+    };
+  } catch (error) {
+    console.error('Error loading delivery schedule:', error.message);
+    return DEFAULT_DELIVERY_SCHEDULE;
+  }
+}
+
+/**
+ * Estimate dispatch and delivery dates
+ * @param {object} params
+ * @param {boolean} params.isMadhyaPradesh - Delivery zone
+ * @param {object} [params.schedule] - From getDeliverySchedule()
+ * @param {Date} [params.from] - Order time (defaults to now)
+ * @returns {object} { dispatchDate, earliestDate, latestDate, label, ... }
+ */
+function estimateDeliveryWindow({
+  isMadhyaPradesh,
+  schedule = DEFAULT_DELIVERY_SCHEDULE,
+  from = new Date(),
+}) {
+  const holidays = new Set(
+    (schedule.holidays || []).map((day) =>
+      day instanceof Date ? toDayKey(day.getTime()) : String(day).slice(0, 10)
+    )
+  );
+  const isWorkingDay = (time) =>
+    schedule.workingDays.includes(new Date(time + IST_OFFSET_MS).getUTCDay()) &&
+    !holidays.has(toDayKey(time));
+
+  // Move forward the given number of working days (0 = next working day or today)
+  const addWorkingDays = (time, days) => {
+    let current = time;
+    // Guard against a calendar with no working days at all
+    let guard = 366;
+    while (!isWorkingDay(current) && guard-- > 0) current += DAY_MS;
+    for (let added = 0; added < days && guard > 0; guard--) {
+      current += DAY_MS;
+      if (isWorkingDay(current)) added++;
+    }
+    return current;
+  };
+
+  const now = new Date(from).getTime();
+  const [cutoffHour, cutoffMinute] = String(schedule.dispatchCutoffTime || '14:00')
+    .split(':')
+    .map((part) => parseInt(part) || 0);
+  const today = dayStart(toDayKey(now));
+  const cutoff = today + (cutoffHour * 60 + cutoffMinute) * 60 * 1000;
+
+  // Orders after the cut-off (or on a holiday) are picked up next working day
+  const receivedDay =
+    now < cutoff && isWorkingDay(today) ? today : addWorkingDays(today + DAY_MS, 0);
+
+  const transit = isMadhyaPradesh
+    ? schedule.transitDays.madhyaPradesh
+    : schedule.transitDays.restOfIndia;
+
+  const dispatch = addWorkingDays(receivedDay, schedule.handlingDays || 0);
+  const earliest = addWorkingDays(dispatch, transit.min);
+  const latest = addWorkingDays(dispatch, Math.max(transit.max, transit.min));
+
+  const format = (time) =>
+    new Date(time).toLocaleDateString('en-IN', {
+      timeZone: 'Asia/Kolkata',
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+    });
+
+  return {
+    dispatchDate: new Date(dispatch),
+    earliestDate: new Date(earliest),
+    latestDate: new Date(latest),
+    transitDays: { min: transit.min, max: transit.max },
+    handlingDays: schedule.handlingDays || 0,
+    cutoffTime: schedule.dispatchCutoffTime,
+    label:
+      earliest === latest
+        ? `Delivery by ${format(latest)}`
+        : `Delivery between ${format(earliest)} and ${format(latest)}`,
+  };
+}
+
+module.exports = {
+  estimateDeliveryWindow,
+  getDeliverySchedule,
+  DEFAULT_DELIVERY_SCHEDULE,
+};
@@ -0,0 +1,213 @@
+// utils/dispatchDocuments.js - Packing slips and shipping labels for dispatch
+//
+// One A4 page per order (more for long orders): the packing slip on the top
+// half and the address label on the bottom half, separated by a cut line. Both carry a Code 128
+// barcode of the order number so parcels can be scanned at pickup.
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+
+// Orders that can be packed; processing is allowed so slips can be reprinted
+const DISPATCHABLE_STATUSES = ['confirmed', 'processing'];
+
+// Helvetica has no rupee glyph
+const money = (value) => `Rs. ${(Number(value) || 0).toFixed(2)}`;
+
+function renderBarcode(text) {
+  return bwipjs.toBuffer({
+    bcid: 'code128',
+    text,
+    scale: 3,
+    height: 12,
+    includetext: false,
+  });
+}
+
+// Cash the courier collects, or 0 for prepaid orders
+function getCodAmount(order) {
+  if (order.payment?.method !== 'COD') return 0;
+  return order.payment.cod?.expectedAmount ?? order.total;
+}
+
+// Long orders continue the item table on the top half of further pages
+function drawPackingSlip(doc, order, seller, barcode, area) {
+  const { left, top, width, bottom } = area;
+
+  doc.font('Helvetica-Bold').fontSize(14).text(seller.businessName, left, top, { width: width / 2 });
+  doc.font('Helvetica').fontSize(8);
+  if (seller.address) doc.text(seller.address, { width: width / 2 });
+  const headerBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(14).text('PACKING SLIP', left, top, { width, align: 'right' });
+  doc.image(barcode, left + width - 180, top + 20, { fit: [180, 40], align: 'right' });
+  doc.font('Helvetica').fontSize(9).text(order.orderNumber, left + width - 180, top + 62, {
+    width: 180,
+    align: 'right',
+  });
+
+  let y = Math.max(top + 80, headerBottom + 6);
+  doc.fontSize(9);
+  doc.text(`Order No: ${order.orderNumber}`, left, y);
+  doc.text(
+    `Order Date: ${new Date(order.orderDate || order.createdAt).toLocaleDateString('en-IN')}`,
+    left
+  );
+  doc.text(`Customer: ${order.shippingAddress.name}`, left);
+
+  // Items (checkbox column for the packer)
+  const columns = [
+    { label: '#', width: 25 },
+    { label: 'Item', width: width - 135 },
+    { label: 'Qty', width: 50, align: 'right' },
+    { label: 'Packed', width: 60, align: 'center' },
+  ];
+
+  const drawRow = (cells, rowY, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let x = left;
+    let height = 0;
+    cells.forEach((cell, index) => {
+      const column = columns[index];
+      const options = { width: column.width - 4, align: column.align || 'left' };
+      doc.text(String(cell), x + 2, rowY, options);
+      height = Math.max(height, doc.heightOfString(String(cell), options));
+      x += column.width;
+    });
+    return rowY + height + 5;
+  };
+
+  const drawHeader = (headerY) => {
+    doc.moveTo(left, headerY - 3).lineTo(left + width, headerY - 3).stroke();
+    const rowY = drawRow(columns.map((column) => column.label), headerY, true);
+    doc.moveTo(left, rowY - 3).lineTo(left + width, rowY - 3).stroke();
+    return rowY;
+  };
+
+  y = drawHeader(doc.y + 10);
+
+  const checkboxX = left + width - 60 + 25;
+  order.items.forEach((item, index) => {
+    if (y > bottom - 40) {
+      doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(10).text(`${order.orderNumber} (continued)`, left, top);
+      y = drawHeader(doc.y + 8);
+    }
+    doc.rect(checkboxX, y, 8, 8).stroke();
+    y = drawRow([index + 1, item.name, item.quantity, ''], y);
+  });
+
+  doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+  const units = order.items.reduce((sum, item) => sum + item.quantity, 0);
+  doc.font('Helvetica-Bold').fontSize(9).text(
+    `${order.items.length} item(s), ${units} unit(s)`,
+    left,
+    y + 2,
+    { width, align: 'right' }
+  );
+
+  if (order.notes) {
+    doc.font('Helvetica').fontSize(8).text(`Customer note: ${order.notes}`, left, doc.y + 6, {
+      width,
+    });
+  }
+}
+
+function drawLabel(doc, order, seller, barcode, area) {
+  const { left, top, width, height } = area;
+  const address = order.shippingAddress;
+  const codAmount = getCodAmount(order);
+  const padding = 12;
+  const inner = width - padding * 2;
+  const x = left + padding;
+
+  doc.lineWidth(1.5).rect(left, top, width, height).stroke().lineWidth(1);
+
+  // Payment box: couriers look for this first
+  doc.font('Helvetica-Bold').fontSize(16);
+  if (codAmount > 0) {
+    doc.rect(left + width - 190, top + padding, 190 - padding, 46).fill('#000');
+    doc.fillColor('#fff').text('COD', left + width - 190, top + padding + 6, {
+      width: 190 - padding,
+      align: 'center',
+    });
+    doc.fontSize(12).text(`Collect ${money(codAmount)}`, { width: 190 - padding, align: 'center' });
+    doc.fillColor('#000');
+  } else {
+    doc.rect(left + width - 190, top + padding, 190 - padding, 46).stroke();
+    doc.text('PREPAID', left + width - 190, top + padding + 14, {
+      width: 190 - padding,
+      align: 'center',
+    });
+  }
+
+  doc.font('Helvetica-Bold').fontSize(10).text('SHIP TO', x, top + padding);
+  doc.fontSize(16).text(address.name, x, doc.y + 2, { width: inner - 200 });
+  doc.font('Helvetica').fontSize(12);
+  doc.text(address.street, x, top + 70, { width: inner });
+  doc.text(`${address.city}, ${address.state}`, x, doc.y, { width: inner });
+  doc.font('Helvetica-Bold').fontSize(20).text(`PIN ${address.zipCode}`, x, doc.y + 4);
+  doc.fontSize(13).text(`Phone: ${address.phone}`, x, doc.y + 2);
+
+  const barcodeTop = top + height - 110;
+  doc.image(barcode, x, barcodeTop, { fit: [220, 50] });
+  doc.font('Helvetica').fontSize(10).text(order.orderNumber, x, barcodeTop + 54, { width: 220, align: 'center' });
+  if (order.trackingNumber) {
+    doc.text(`Tracking: ${order.trackingNumber}`, x, doc.y + 2, { width: 220, align: 'center' });
+  }
+
+  const fromX = left + width / 2 + 10;
+  doc.font('Helvetica-Bold').fontSize(8).text('FROM', fromX, barcodeTop);
+  doc.font('Helvetica').text(seller.businessName, fromX, doc.y, { width: width / 2 - 22 });
+  if (seller.address) doc.text(seller.address, fromX, doc.y, { width: width / 2 - 22 });
+  if (seller.phone) doc.text(`Phone: ${seller.phone}`, fromX, doc.y, { width: width / 2 - 22 });
+}
+
+/**
+ * Build one PDF with a packing slip and an address label per order
+ * @param {Array<object>} orders - Orders in print order
+ * @param {object} seller - From getSellerDetails() (utils/invoiceGenerator)
+ * @returns {Promise<Buffer>}
+ */
+async function renderDispatchPdf(orders, seller) {
+  const barcodes = await Promise.all(orders.map((order) => renderBarcode(order.orderNumber)));
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 36, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    orders.forEach((order, index) => {
+      doc.addPage();
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+      const middle = doc.page.height / 2;
+
+      drawPackingSlip(doc, order, seller, barcodes[index], {
+        left,
+        top: doc.page.margins.top,
+        width,
+        bottom: middle - 10,
+      });
+
+      // Cut line between slip and label
+      doc.save().dash(4, { space: 4 }).moveTo(left, middle).lineTo(left + width, middle).stroke().restore();
+      doc.font('Helvetica').fontSize(7).text('cut here', left, middle + 2, { width, align: 'center' });
+
+      drawLabel(doc, order, seller, barcodes[index], {
+        left,
+        top: middle + 16,
+        width,
+        height: doc.page.height - middle - 16 - doc.page.margins.bottom,
+      });
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderDispatchPdf,
+  getCodAmount,
+  DISPATCHABLE_STATUSES,
+};
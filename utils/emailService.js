@@ -323,6 +323,15 @@ const getEmailTemplate = (otp, type = "verification") => {
   return templates[type] || templates.verification;
 };
 
+// Customer-written text must not be able to inject markup into emails
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 // Fixed getOrderEmailTemplate function for utils/emailService.js
 const getOrderEmailTemplate = (type, data) => {
   // Add safety checks for data
@@ -338,7 +347,65 @@ const getOrderEmailTemplate = (type, data) => {
     trackingUrl: data?.trackingUrl || "#",
     retryUrl: data?.retryUrl || "#",
     reason: data?.reason || "Unknown reason",
+    returnStatus: data?.returnStatus || "requested",
+    refundAmount: data?.refundAmount || 0,
+    notes: data?.notes || "",
+    upiReference: data?.upiReference || "",
+    refundReference: data?.refundReference || "",
+    totalRefunded: data?.totalRefunded || 0,
+    isFullRefund: !!data?.isFullRefund,
+    senderName: escapeHtml(data?.senderName || "Lion Bidi"),
+    message: escapeHtml(data?.message || "").replace(/\n/g, "<br>"),
+    attachmentCount: data?.attachmentCount || 0,
+    isForAdmin: !!data?.isForAdmin,
+    messageUrl: data?.messageUrl || "#",
+    orderStatus: data?.orderStatus || "processing",
+    trackingNumber: escapeHtml(data?.trackingNumber || ""),
+    courier: escapeHtml(data?.courier || ""),
+  };
+
+  // Headline and message for each step of a customer return
+  const returnSteps = {
+    requested: {
+      title: "📦 Return Request Received",
+      message:
+        "We have received your return request. Our team will review it and get back to you shortly.",
+    },
+    approved: {
+      title: "✅ Return Approved",
+      message:
+        "Your return has been approved. Please pack the items securely and hand them over as instructed by our team.",
+    },
+    rejected: {
+      title: "❌ Return Not Approved",
+      message: "Unfortunately we could not approve your return request.",
+    },
+    received: {
+      title: "📬 Returned Items Received",
+      message: "We have received the returned items.",
+    },
+  };
+  const returnStep =
+    returnSteps[safeData.returnStatus] || returnSteps.requested;
+
+  // Headline and message for order progress updates
+  const statusSteps = {
+    processing: {
+      title: "📦 Your Order Is Being Packed",
+      message:
+        "Good news! We have started preparing your order and will ship it soon.",
+    },
+    shipped: {
+      title: "🚚 Your Order Has Shipped",
+      message: "Your order is on its way.",
+    },
+    delivered: {
+      title: "🎉 Your Order Was Delivered",
+      message: "Your order has been delivered. Thank you for shopping with us!",
+    },
   };
+  const statusStep =
+    statusSteps[safeData.orderStatus] || statusSteps.processing;
 
   const templates = {
     admin_payment_verification: {
@@ -735,6 +802,402 @@ const getOrderEmailTemplate = (type, data) => {
         </html>
       `,
     },
+
+    order_cancelled: {
+      subject: `🚫 Order Cancelled - ${safeData.orderNumber} | Lion Bidi`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Order Cancelled - Lion Bidi</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; line-height: 1.6; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #ea580c, #dc2626, #ea580c); padding: 30px 20px; text-align: center; color: white; }
+            .content { padding: 30px; }
+            .error { background: #fef2f2; border: 2px solid #ef4444; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .order-details { background: #f9fafb; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .item { padding: 10px 0; border-bottom: 1px solid #e5e7eb; }
+            .retry-button { background: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; margin: 10px 0; }
+            .footer { background-color: #f9fafb; padding: 20px; text-align: center; color: #6b7280; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🚫 Order Cancelled</h1>
+              <p>Lion Bidi - Premium Quality</p>
+            </div>
+            <div class="content">
+              <div class="error">
+                <h3>Hi ${safeData.customerName},</h3>
+                <p>Your order ${safeData.orderNumber} has been cancelled.</p>
+                <p><strong>Reason:</strong> ${safeData.reason}</p>
+              </div>
+
+              <div class="order-details">
+                <h3>Order Details</h3>
+                <p><strong>Order Number:</strong> ${safeData.orderNumber}</p>
+                <p><strong>Order Date:</strong> ${new Date(
+                  safeData.orderDate
+                ).toLocaleString("en-IN")}</p>
+                <p><strong>Amount:</strong> ₹${safeData.amount.toFixed(2)}</p>
+                ${safeData.items
+                  .map(
+                    (item) => `
+                  <div class="item">
+                    <strong>${item?.name || "Unknown Item"}</strong> × ${
+                      item?.quantity || 0
+                    }
+                  </div>
+                `
+                  )
+                  .join("")}
+              </div>
+
+              <p>If you still want these items, you are welcome to place a new order.</p>
+
+              <div style="text-align: center;">
+                <a href="${
+                  safeData.retryUrl
+                }" class="retry-button">Shop Again</a>
+              </div>
+            </div>
+            <div class="footer">
+              <p>© 2025 Lion Bidi - Premium Quality Products</p>
+              <p>Need help? Contact us at <a href="mailto:lionbidicompany@gmail.com" style="color: #dc2626;">lionbidicompany@gmail.com</a> or call us at +91-9589773525</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    },
+
+    order_status_update: {
+      subject: `${statusStep.title} - Order ${safeData.orderNumber} | Lion Bidi`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Order Update - Lion Bidi</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; line-height: 1.6; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #ea580c, #dc2626, #ea580c); padding: 30px 20px; text-align: center; color: white; }
+            .content { padding: 30px; }
+            .success { background: #f0fdf4; border: 2px solid #22c55e; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .order-details { background: #f9fafb; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .item { padding: 10px 0; border-bottom: 1px solid #e5e7eb; }
+            .track-button { background: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; margin: 10px 0; }
+            .footer { background-color: #f9fafb; padding: 20px; text-align: center; color: #6b7280; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${statusStep.title}</h1>
+              <p>Lion Bidi - Premium Quality</p>
+            </div>
+            <div class="content">
+              <div class="success">
+                <h3>Hi ${safeData.customerName},</h3>
+                <p>${statusStep.message}</p>
+                ${
+                  safeData.courier
+                    ? `<p><strong>Courier:</strong> ${safeData.courier}</p>`
+                    : ""
+                }
+                ${
+                  safeData.trackingNumber
+                    ? `<p><strong>Tracking Number:</strong> ${safeData.trackingNumber}</p>`
+                    : ""
+                }
+              </div>
+
+              <div class="order-details">
+                <h3>Order Details</h3>
+                <p><strong>Order Number:</strong> ${safeData.orderNumber}</p>
+                <p><strong>Amount:</strong> ₹${safeData.amount.toFixed(2)}</p>
+                ${safeData.items
+                  .map(
+                    (item) => `
+                  <div class="item">
+                    <strong>${item?.name || "Unknown Item"}</strong> × ${
+                      item?.quantity || 0
+                    }
+                  </div>
+                `
+                  )
+                  .join("")}
+              </div>
+
+              <div style="text-align: center;">
+                <a href="${
+                  safeData.trackingUrl
+                }" class="track-button">Track Your Order</a>
+              </div>
+            </div>
+            <div class="footer">
+              <p>© 2025 Lion Bidi - Premium Quality Products</p>
+              <p>Need help? Contact us at <a href="mailto:lionbidicompany@gmail.com" style="color: #dc2626;">lionbidicompany@gmail.com</a> or call us at +91-9589773525</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    },
+
+    return_status: {
+      subject: `${returnStep.title} - Order ${safeData.orderNumber} | Lion Bidi`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Return Update - Lion Bidi</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; line-height: 1.6; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #ea580c, #dc2626, #ea580c); padding: 30px 20px; text-align: center; color: white; }
+            .content { padding: 30px; }
+            .notice { background: #fef3c7; border: 2px solid #f59e0b; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .order-details { background: #f9fafb; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .item { padding: 10px 0; border-bottom: 1px solid #e5e7eb; }
+            .footer { background-color: #f9fafb; padding: 20px; text-align: center; color: #6b7280; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${returnStep.title}</h1>
+              <p>Lion Bidi - Premium Quality</p>
+            </div>
+            <div class="content">
+              <div class="notice">
+                <h3>Hi ${safeData.customerName},</h3>
+                <p>${returnStep.message}</p>
+                ${
+                  safeData.returnStatus === "rejected"
+                    ? `<p><strong>Reason:</strong> ${safeData.reason}</p>`
+                    : ""
+                }
+                ${
+                  safeData.returnStatus === "received" && safeData.refundAmount > 0
+                    ? `<p><strong>Refund Amount:</strong> ₹${safeData.refundAmount.toFixed(
+                        2
+                      )}</p>`
+                    : ""
+                }
+                ${safeData.notes ? `<p>${safeData.notes}</p>` : ""}
+              </div>
+
+              <div class="order-details">
+                <h3>Items in this Return</h3>
+                <p><strong>Order Number:</strong> ${safeData.orderNumber}</p>
+                ${safeData.items
+                  .map(
+                    (item) => `
+                  <div class="item">
+                    <strong>${item?.name || "Unknown Item"}</strong> × ${
+                      item?.quantity || 0
+                    }
+                  </div>
+                `
+                  )
+                  .join("")}
+              </div>
+            </div>
+            <div class="footer">
+              <p>© 2025 Lion Bidi - Premium Quality Products</p>
+              <p>Need help? Contact us at <a href="mailto:lionbidicompany@gmail.com" style="color: #dc2626;">lionbidicompany@gmail.com</a> or call us at +91-9589773525</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    },
+
+    refund_processed: {
+      subject: `💸 Refund Processed - Order ${safeData.orderNumber} | Lion Bidi`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Refund Processed - Lion Bidi</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; line-height: 1.6; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #ea580c, #dc2626, #ea580c); padding: 30px 20px; text-align: center; color: white; }
+            .content { padding: 30px; }
+            .success { background: #d1fae5; border: 2px solid #10b981; border-radius: 8px; padding: 20px; margin: 20px 0; text-align: center; }
+            .order-details { background: #f9fafb; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .footer { background-color: #f9fafb; padding: 20px; text-align: center; color: #6b7280; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>💸 Refund Processed</h1>
+              <p>Lion Bidi - Premium Quality</p>
+            </div>
+            <div class="content">
+              <div class="success">
+                <h2>Hi ${safeData.customerName},</h2>
+                <p>We have sent ${
+                  safeData.isFullRefund ? "a full" : "a partial"
+                } refund of <strong>₹${safeData.refundAmount.toFixed(
+                  2
+                )}</strong> for order ${safeData.orderNumber}.</p>
+              </div>
+
+              <div class="order-details">
+                <h3>Refund Details</h3>
+                <p><strong>Order Number:</strong> ${safeData.orderNumber}</p>
+                <p><strong>Refund Amount:</strong> ₹${safeData.refundAmount.toFixed(
+                  2
+                )}</p>
+                <p><strong>UPI Reference:</strong> ${safeData.upiReference}</p>
+                <p><strong>Total Refunded:</strong> ₹${safeData.totalRefunded.toFixed(
+                  2
+                )} of ₹${safeData.amount.toFixed(2)}</p>
+                ${
+                  data?.reason
+                    ? `<p><strong>Reason:</strong> ${safeData.reason}</p>`
+                    : ""
+                }
+              </div>
+
+              <p>Depending on your bank, it can take up to 3 working days for the amount to appear in your account.</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 Lion Bidi - Premium Quality Products</p>
+              <p>Need help? Contact us at <a href="mailto:lionbidicompany@gmail.com" style="color: #dc2626;">lionbidicompany@gmail.com</a> or call us at +91-9589773525</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    },
+    payment_not_applied: {
+      subject: `💸 Your Payment Will Be Refunded - Order ${safeData.orderNumber} | Lion Bidi`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Payment Refund - Lion Bidi</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; line-height: 1.6; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #ea580c, #dc2626, #ea580c); padding: 30px 20px; text-align: center; color: white; }
+            .content { padding: 30px; }
+            .error { background: #fef2f2; border: 2px solid #ef4444; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .order-details { background: #f9fafb; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .footer { background-color: #f9fafb; padding: 20px; text-align: center; color: #6b7280; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>💸 Payment Refund</h1>
+              <p>Lion Bidi - Premium Quality</p>
+            </div>
+            <div class="content">
+              <div class="error">
+                <h3>Hi ${safeData.customerName},</h3>
+                <p>We received your payment of <strong>₹${safeData.amount.toFixed(
+                  2
+                )}</strong> for order ${safeData.orderNumber}, but the order could no longer accept it.</p>
+                <p>${safeData.reason}</p>
+              </div>
+
+              <div class="order-details">
+                <h3>Payment Details</h3>
+                <p><strong>Order Number:</strong> ${safeData.orderNumber}</p>
+                <p><strong>Amount:</strong> ₹${safeData.amount.toFixed(2)}</p>
+                ${
+                  safeData.refundReference
+                    ? `<p><strong>Refund Reference:</strong> ${safeData.refundReference}</p>`
+                    : ""
+                }
+              </div>
+
+              <p>If you still want these items, you are welcome to place a new order.</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 Lion Bidi - Premium Quality Products</p>
+              <p>Need help? Contact us at <a href="mailto:lionbidicompany@gmail.com" style="color: #dc2626;">lionbidicompany@gmail.com</a> or call us at +91-9589773525</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    },
+    order_message: {
+      subject: safeData.isForAdmin
+        ? `💬 Customer message - Order ${safeData.orderNumber}`
+        : `💬 New message about your order ${safeData.orderNumber} | Lion Bidi`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>New Message - Lion Bidi</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5; line-height: 1.6; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #ea580c, #dc2626, #ea580c); padding: 30px 20px; text-align: center; color: white; }
+            .content { padding: 30px; }
+            .message { background: #f9fafb; border-left: 4px solid #ea580c; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .button { display: inline-block; background: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; }
+            .footer { background-color: #f9fafb; padding: 20px; text-align: center; color: #6b7280; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>💬 New Message</h1>
+              <p>Order ${safeData.orderNumber}</p>
+            </div>
+            <div class="content">
+              <p>${
+                safeData.isForAdmin
+                  ? `${safeData.senderName} (${safeData.customerEmail}) sent a message about order <strong>${safeData.orderNumber}</strong>.`
+                  : `Hi ${safeData.customerName}, our team replied to your message about order <strong>${safeData.orderNumber}</strong>.`
+              }</p>
+
+              <div class="message">
+                <p><strong>${safeData.senderName}</strong></p>
+                <p>${safeData.message}</p>
+                ${
+                  safeData.attachmentCount
+                    ? `<p><em>📎 ${safeData.attachmentCount} attachment(s)</em></p>`
+                    : ""
+                }
+              </div>
+
+              <p style="text-align: center;">
+                <a href="${safeData.messageUrl}" class="button">View Conversation</a>
+              </p>
+            </div>
+            <div class="footer">
+              <p>© 2025 Lion Bidi - Premium Quality Products</p>
+              <p>Need help? Contact us at <a href="mailto:lionbidicompany@gmail.com" style="color: #dc2626;">lionbidicompany@gmail.com</a> or call us at +91-9589773525</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    },
   };
 
   return templates[type] || templates.order_confirmed;
@@ -0,0 +1,131 @@
+// utils/gstCalculator.js - GST split (CGST+SGST inside MP, IGST elsewhere)
+const { STORE_STATE, normalizeState } = require('./deliveryChargeCalculator');
+
+// Bidis (HSN 2403 19 21) attract 28% GST
+const DEFAULT_GST_RATE = 28;
+const DEFAULT_HSN_CODE = '24031921';
+const GST_RATES = [0, 5, 12, 18, 28];
+
+// Catalogue prices are MRP, i.e. GST is already included
+const PRICES_INCLUDE_TAX = true;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Split a tax amount into CGST/SGST or IGST
+ */
+function splitTax(taxAmount, isInterState) {
+  if (isInterState) {
+    return { cgst: 0, sgst: 0, igst: roundAmount(taxAmount) };
+  }
+  const cgst = roundAmount(taxAmount / 2);
+  return { cgst, sgst: roundAmount(taxAmount - cgst), igst: 0 };
+}
+
+/**
+ * Taxable value and tax for an amount at a GST rate
+ */
+function taxForAmount(amount, rate, pricesIncludeTax = PRICES_INCLUDE_TAX) {
+  const taxableValue = pricesIncludeTax
+    ? roundAmount(amount / (1 + rate / 100))
+    : roundAmount(amount);
+  const taxAmount = pricesIncludeTax
+    ? roundAmount(amount - taxableValue)
+    : roundAmount((amount * rate) / 100);
+  return { taxableValue, taxAmount };
+}
+
+/**
+ * Whether a delivery state is outside the store's state (IGST applies)
+ */
+function isInterStateSupply(placeOfSupply) {
+  const state = normalizeState(placeOfSupply);
+  // Unknown place of supply: treat as local supply
+  if (!state || state === 'Unknown') return false;
+  return state !== normalizeState(STORE_STATE);
+}
+
+/**
+ * Calculate GST for order lines, the order discount and delivery charges.
+ * The bulk discount is spread over lines in proportion to their value.
+ * Delivery is taxed at the rate of the principal (highest rated) supply.
+ * @param {object} params
+ * @param {Array} params.items - Lines with totalPrice, gstRate, hsnCode
+ * @param {number} params.discount - Order level discount
+ * @param {number} params.deliveryCharges - Delivery charges
+ * @param {string} params.placeOfSupply - Delivery state
+ * @returns {object} { items, breakdown }
+ */
+function calculateGst({ items, discount = 0, deliveryCharges = 0, placeOfSupply }) {
+  const isInterState = isInterStateSupply(placeOfSupply);
+  const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+
+  let discountLeft = roundAmount(discount);
+  const taxedItems = items.map((item, index) => {
+    const gstRate = item.gstRate ?? DEFAULT_GST_RATE;
+
+    // Last line takes the rounding remainder of the discount
+    const lineDiscount =
+      index === items.length - 1
+        ? discountLeft
+        : roundAmount(subtotal ? (discount * item.totalPrice) / subtotal : 0);
+    discountLeft = roundAmount(discountLeft - lineDiscount);
+
+    const { taxableValue, taxAmount } = taxForAmount(
+      item.totalPrice - lineDiscount,
+      gstRate
+    );
+
+    return {
+      ...item,
+      hsnCode: item.hsnCode || DEFAULT_HSN_CODE,
+      gstRate,
+      discount: lineDiscount,
+      taxableValue,
+      taxAmount,
+      ...splitTax(taxAmount, isInterState),
+    };
+  });
+
+  const principalRate = taxedItems.reduce(
+    (max, item) => Math.max(max, item.gstRate),
+    0
+  );
+  const delivery = taxForAmount(deliveryCharges, principalRate);
+  const deliveryTax = {
+    gstRate: principalRate,
+    taxableValue: delivery.taxableValue,
+    taxAmount: delivery.taxAmount,
+    ...splitTax(delivery.taxAmount, isInterState),
+  };
+
+  const sum = (field) =>
+    roundAmount(
+      taxedItems.reduce((total, item) => total + item[field], 0) +
+        deliveryTax[field]
+    );
+
+  return {
+    items: taxedItems,
+    breakdown: {
+      placeOfSupply: normalizeState(placeOfSupply) || null,
+      isInterState,
+      pricesIncludeTax: PRICES_INCLUDE_TAX,
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      totalTax: sum('taxAmount'),
+      delivery: deliveryTax,
+    },
+  };
+}
+
+module.exports = {
+  calculateGst,
+  isInterStateSupply,
+  DEFAULT_GST_RATE,
+  DEFAULT_HSN_CODE,
+  GST_RATES,
+  PRICES_INCLUDE_TAX,
+};
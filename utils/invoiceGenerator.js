@@ -0,0 +1,410 @@
+// utils/invoiceGenerator.js - GST tax invoice numbering and PDF rendering
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+const { calculateGst } = require('./gstCalculator');
+const { STORE_STATE } = require('./deliveryChargeCalculator');
+
+// Orders that have been sold (paid or confirmed) and can be invoiced
+const INVOICEABLE_STATUSES = [
+  'confirmed',
+  'processing',
+  'partially_shipped',
+  'shipped',
+  'delivered',
+  'returned',
+];
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Helvetica has no rupee glyph
+const money = (value) => `Rs. ${(Number(value) || 0).toFixed(2)}`;
+
+/**
+ * Indian financial year (April–March, IST) for a date, e.g. '2026-27'
+ */
+function getFinancialYear(date = new Date()) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  const startYear = ist.getUTCMonth() >= 3 ? year : year - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+}
+
+function canIssueInvoice(order) {
+  return !!order.invoice?.number || INVOICEABLE_STATUSES.includes(order.status);
+}
+
+/**
+ * Seller details for the invoice header (admin Settings, env fallback)
+ */
+async function getSellerDetails() {
+  const settings = await Settings.findOne({ type: 'admin' }).lean();
+  const invoice = settings?.invoice || {};
+
+  return {
+    businessName: invoice.businessName || settings?.general?.siteName || 'Lion Bidi',
+    gstin: invoice.gstin || process.env.STORE_GSTIN || '',
+    address: invoice.address || process.env.STORE_ADDRESS || '',
+    state: STORE_STATE,
+    email: settings?.general?.siteEmail || '',
+    phone: settings?.general?.supportPhone || '',
+    prefix: invoice.prefix || 'LB',
+  };
+}
+
+// A claim older than this is from a request that died before numbering
+const INVOICE_CLAIM_TIMEOUT_MS = 30 * 1000;
+const INVOICE_WAIT_ATTEMPTS = 10;
+const INVOICE_WAIT_MS = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Give the order its invoice number if it does not have one yet.
+ * Numbers run sequentially per financial year, independent of orderNumber.
+ * The year is the one the order was confirmed in, so an order confirmed on
+ * 31 March keeps that year's series however late the number is taken.
+ * The order is claimed before a number is taken from the sequence, so a
+ * concurrent request can never use up a number and leave a gap.
+ * @returns {Promise<object>} The order's invoice details
+ */
+async function assignInvoiceNumber(order, prefix = 'LB') {
+  if (order.invoice?.number) return order.invoice;
+
+  const Order = order.constructor;
+  const now = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      'invoice.number': null,
+      $or: [
+        { 'invoice.claimedAt': null },
+        { 'invoice.claimedAt': { $lt: new Date(now - INVOICE_CLAIM_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { 'invoice.claimedAt': now } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    // Another request is numbering this order; use its number
+    for (let attempt = 0; attempt < INVOICE_WAIT_ATTEMPTS; attempt++) {
+      const current = await Order.findById(order._id).select('invoice');
+      if (current?.invoice?.number) {
+        order.invoice = current.invoice;
+        return current.invoice;
+      }
+      await sleep(INVOICE_WAIT_MS);
+    }
+
+    const error = new Error('The invoice is being issued, please try again');
+    error.code = 'INVOICE_PENDING';
+    throw error;
+  }
+
+  // Dated the day of the sale so the date and the year's series agree
+  const issuedAt = order.confirmedAt || now;
+  const financialYear = getFinancialYear(issuedAt);
+  let sequence;
+  try {
+    sequence = await Counter.next(`invoice-${financialYear}`);
+  } catch (error) {
+    // Let the next request claim the order straight away
+    await Order.updateOne(
+      { _id: order._id, 'invoice.claimedAt': now },
+      { $set: { 'invoice.claimedAt': null } }
+    );
+    throw error;
+  }
+
+  const invoice = {
+    number: `${prefix}/${financialYear}/${String(sequence).padStart(5, '0')}`,
+    financialYear,
+    sequence,
+    issuedAt,
+    claimedAt: null,
+  };
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, 'invoice.claimedAt': now },
+    { $set: { invoice } },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Our claim expired and another request took over (see INVOICE_CLAIM_TIMEOUT_MS)
+    const error = new Error(
+      `Invoice ${invoice.number} was not stored; another request claimed the order`
+    );
+    error.code = 'INVOICE_PENDING';
+    throw error;
+  }
+
+  order.invoice = updated.invoice;
+  return updated.invoice;
+}
+
+/**
+ * Line and order tax for the invoice. Orders placed before the GST
+ * engine have no stored breakdown, so it is worked out on the fly.
+ */
+function getInvoiceTax(order) {
+  const hasLineTax = order.items.every((item) => item.gstRate != null);
+  if (order.taxBreakdown && hasLineTax) {
+    return { items: order.items, breakdown: order.taxBreakdown };
+  }
+
+  return calculateGst({
+    items: order.items.map((item) => item.toObject?.() || item),
+    discount: order.discount || 0,
+    deliveryCharges: order.deliveryCharges || 0,
+    placeOfSupply: order.deliveryInfo?.state || order.shippingAddress?.state,
+  });
+}
+
+/**
+ * Render the tax invoice as a PDF
+ * @param {object} order - Order document with invoice number assigned
+ * @param {object} seller - From getSellerDetails()
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicePdf(order, seller) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { items, breakdown } = getInvoiceTax(order);
+    const isInterState = breakdown.isInterState;
+    const address = order.shippingAddress;
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    // Header (seller on the left, invoice details on the right)
+    const half = { width: width / 2 };
+    doc.font('Helvetica-Bold').fontSize(16).text(seller.businessName, left, 42, half);
+    doc.font('Helvetica').fontSize(9);
+    if (seller.address) doc.text(seller.address, left, undefined, half);
+    doc.text(`State: ${seller.state}`, left, undefined, half);
+    if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`, left, undefined, half);
+    if (seller.email || seller.phone) {
+      doc.text([seller.email, seller.phone].filter(Boolean).join(' | '), left, undefined, half);
+    }
+
+    doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', left, 42, {
+      width,
+      align: 'right',
+    });
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Invoice No: ${order.invoice.number}`, { width, align: 'right' });
+    doc.text(
+      `Invoice Date: ${new Date(order.invoice.issuedAt).toLocaleDateString('en-IN')}`,
+      { width, align: 'right' }
+    );
+    doc.text(`Order No: ${order.orderNumber}`, { width, align: 'right' });
+    doc.text(
+      `Order Date: ${new Date(order.orderDate || order.createdAt).toLocaleDateString('en-IN')}`,
+      { width, align: 'right' }
+    );
+
+    // Billing / shipping
+    let y = 140;
+    doc.moveTo(left, y).lineTo(left + width, y).stroke();
+    y += 8;
+    doc.font('Helvetica-Bold').text('Bill To / Ship To', left, y);
+    doc.font('Helvetica');
+    doc.text(address.name);
+    doc.text(address.street);
+    doc.text(`${address.city}, ${address.state} - ${address.zipCode}`);
+    doc.text(`Phone: ${address.phone}`);
+    doc.text(`Email: ${address.email}`);
+
+    doc.font('Helvetica-Bold').text('Place of Supply', left + width / 2, y);
+    doc.font('Helvetica').text(
+      breakdown.placeOfSupply || address.state,
+      left + width / 2
+    );
+    doc.text(
+      isInterState
+        ? 'Inter-state supply (IGST)'
+        : 'Intra-state supply (CGST + SGST)',
+      left + width / 2
+    );
+
+    // Items table
+    const columns = isInterState
+      ? [
+          { label: '#', width: 20 },
+          { label: 'Item', width: 150 },
+          { label: 'HSN', width: 55 },
+          { label: 'Qty', width: 30, align: 'right' },
+          { label: 'Rate', width: 60, align: 'right' },
+          { label: 'Taxable', width: 65, align: 'right' },
+          { label: 'IGST', width: 70, align: 'right' },
+          { label: 'Total', width: width - 450, align: 'right' },
+        ]
+      : [
+          { label: '#', width: 20 },
+          { label: 'Item', width: 125 },
+          { label: 'HSN', width: 50 },
+          { label: 'Qty', width: 30, align: 'right' },
+          { label: 'Rate', width: 55, align: 'right' },
+          { label: 'Taxable', width: 60, align: 'right' },
+          { label: 'CGST', width: 55, align: 'right' },
+          { label: 'SGST', width: 55, align: 'right' },
+          { label: 'Total', width: width - 450, align: 'right' },
+        ];
+
+    const drawRow = (cells, rowY, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      let x = left;
+      let height = 0;
+      cells.forEach((cell, index) => {
+        const column = columns[index];
+        const options = { width: column.width - 4, align: column.align || 'left' };
+        doc.text(String(cell), x + 2, rowY, options);
+        height = Math.max(height, doc.heightOfString(String(cell), options));
+        x += column.width;
+      });
+      return rowY + height + 6;
+    };
+
+    y = 240;
+    doc.moveTo(left, y - 4).lineTo(left + width, y - 4).stroke();
+    y = drawRow(columns.map((column) => column.label), y, true);
+    doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+
+    const taxCells = (line) =>
+      isInterState
+        ? [`${money(line.igst)} (${line.gstRate}%)`]
+        : [
+            `${money(line.cgst)} (${line.gstRate / 2}%)`,
+            `${money(line.sgst)} (${line.gstRate / 2}%)`,
+          ];
+
+    items.forEach((item, index) => {
+      if (y > doc.page.height - 160) {
+        doc.addPage();
+        y = 40;
+      }
+      y = drawRow(
+        [
+          index + 1,
+          item.name,
+          item.hsnCode || '-',
+          item.quantity,
+          money(item.price),
+          money(item.taxableValue),
+          ...taxCells(item),
+          money(item.taxableValue + item.taxAmount),
+        ],
+        y
+      );
+    });
+
+    if (breakdown.delivery && (order.deliveryCharges || 0) > 0) {
+      const delivery = breakdown.delivery;
+      y = drawRow(
+        [
+          '',
+          'Delivery charges',
+          '9965', // SAC: goods transport services
+          '',
+          '',
+          money(delivery.taxableValue),
+          ...taxCells(delivery),
+          money(delivery.taxableValue + delivery.taxAmount),
+        ],
+        y
+      );
+    }
+
+    doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+
+    // Totals
+    y += 6;
+    const totals = [
+      ['Subtotal', money(order.subtotal)],
+      ...(order.discount ? [['Discount', `- ${money(order.discount)}`]] : []),
+      ['Delivery charges', money(order.deliveryCharges)],
+      ['Taxable value', money(breakdown.taxableValue)],
+      ...(isInterState
+        ? [['IGST', money(breakdown.igst)]]
+        : [
+            ['CGST', money(breakdown.cgst)],
+            ['SGST', money(breakdown.sgst)],
+          ]),
+      ['Total tax', money(breakdown.totalTax)],
+    ];
+
+    doc.fontSize(9);
+    totals.forEach(([label, value]) => {
+      doc.font('Helvetica').text(label, left + width - 220, y, { width: 120 });
+      doc.text(value, left + width - 100, y, { width: 100, align: 'right' });
+      y += 14;
+    });
+    doc.font('Helvetica-Bold').fontSize(11);
+    doc.text('Invoice total', left + width - 220, y, { width: 120 });
+    doc.text(money(order.total), left + width - 100, y, { width: 100, align: 'right' });
+
+    y += 30;
+    doc.font('Helvetica').fontSize(8);
+    if (breakdown.pricesIncludeTax) {
+      doc.text('All prices are inclusive of GST.', left, y);
+    }
+    doc.text(
+      `Payment: ${order.payment?.method || 'UPI'} (${order.payment?.paymentStatus || 'pending'})`,
+      left
+    );
+    doc.text('This is a computer generated invoice and does not require a signature.', left);
+
+    doc.end();
+  });
+}
+
+/**
+ * Number the invoice of an order that has just been confirmed.
+ * Never throws: if numbering fails the first download assigns the number,
+ * still in the financial year of confirmedAt.
+ */
+async function issueInvoiceOnConfirm(order) {
+  try {
+    const { prefix } = await getSellerDetails();
+    const invoice = await assignInvoiceNumber(order, prefix);
+    console.log(`🧾 Invoice ${invoice.number} issued for order ${order.orderNumber}`);
+  } catch (error) {
+    console.error(
+      `❌ Could not number the invoice for order ${order.orderNumber}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Assign an invoice number if needed and build the PDF
+ * @returns {Promise<object>} { buffer, filename, invoice }
+ */
+async function generateInvoice(order) {
+  const seller = await getSellerDetails();
+  const invoice = await assignInvoiceNumber(order, seller.prefix);
+  const buffer = await renderInvoicePdf(order, seller);
+
+  return {
+    buffer,
+    invoice,
+    filename: `invoice-${invoice.number.replace(/\//g, '-')}.pdf`,
+  };
+}
+
+module.exports = {
+  generateInvoice,
+  assignInvoiceNumber,
+  issueInvoiceOnConfirm,
+  renderInvoicePdf,
+  canIssueInvoice,
+  getSellerDetails,
+  getFinancialYear,
+  INVOICEABLE_STATUSES,
+};
@@ -0,0 +1,98 @@
+// utils/messageAttachments.js - Files attached to order messages, kept in file storage
+const crypto = require('crypto');
+const {
+  getDefaultStorage,
+  getStorageBackend,
+  createSignedUrl,
+} = require('./storage');
+const { detectImageType } = require('./paymentScreenshots');
+
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const ATTACHMENT_FOLDER = 'message-attachments';
+
+// Content type -> file extension; the bytes are checked, not the client's claim
+const ATTACHMENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+};
+
+const attachmentError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_ATTACHMENT';
+  return error;
+};
+
+// Image or PDF type from the magic bytes, or null
+function detectAttachmentType(buffer) {
+  const imageType = detectImageType(buffer);
+  if (imageType) return imageType;
+  if (buffer && buffer.length >= 5 && buffer.toString('ascii', 0, 5) === '%PDF-') {
+    return 'application/pdf';
+  }
+  return null;
+}
+
+/**
+ * Validate and store a message attachment for an order
+ * @param {string} orderId
+ * @param {Buffer} buffer - File bytes
+ * @returns {Promise<object>} Reference to keep on the message
+ *   { storage, key, contentType, size, sha256, uploadedAt }
+ */
+async function storeMessageAttachment(orderId, buffer) {
+  if (!buffer || buffer.length === 0) {
+    throw attachmentError('Attachment is empty');
+  }
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    throw attachmentError('Each attachment must be smaller than 5 MB');
+  }
+
+  const contentType = detectAttachmentType(buffer);
+  if (!contentType) {
+    throw attachmentError('Attachments must be JPEG, PNG or WebP images or PDFs');
+  }
+
+  const storage = getDefaultStorage();
+  const key = `${ATTACHMENT_FOLDER}/${orderId}-${crypto
+    .randomBytes(8)
+    .toString('hex')}.${ATTACHMENT_TYPES[contentType]}`;
+
+  const saved = await storage.save(key, buffer, { contentType });
+
+  return {
+    storage: storage.name,
+    key: saved.key,
+    contentType,
+    size: saved.size,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    uploadedAt: new Date(),
+  };
+}
+
+async function removeMessageAttachment(file) {
+  if (!file?.key) return false;
+  const backend = getStorageBackend(file.storage);
+  if (!backend) {
+    throw new Error(`Storage backend '${file.storage}' is not available`);
+  }
+  return backend.remove(file.key);
+}
+
+/**
+ * Short-lived URL for the customer or admin reading the thread
+ */
+function getMessageAttachmentUrl(file, ttlSeconds) {
+  if (!file?.key) return null;
+  return createSignedUrl(file, ttlSeconds);
+}
+
+module.exports = {
+  storeMessageAttachment,
+  removeMessageAttachment,
+  getMessageAttachmentUrl,
+  detectAttachmentType,
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_TYPES,
+};
@@ -0,0 +1,156 @@
+// utils/orderExpirySweeper.js - Cancels pending orders that were never paid
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Settings = require('../models/Settings');
+const { sendOrderNotificationEmail } = require('./emailService');
+
+const DEFAULT_EXPIRY_HOURS = 48;
+const SWEEP_INTERVAL_MINUTES =
+  parseInt(process.env.ORDER_EXPIRY_SWEEP_INTERVAL_MINUTES) || 15;
+const BATCH_SIZE = 100;
+const EXPIRY_REASON = 'payment not received';
+
+let sweepTimer = null;
+let isSweeping = false;
+
+/**
+ * Read the unpaid order timeout from admin Settings
+ */
+async function getExpiryHours() {
+  const settings = await Settings.findOne({ type: 'admin' }).lean();
+  return settings?.orders?.unpaidOrderExpiryHours || DEFAULT_EXPIRY_HOURS;
+}
+
+async function sendExpiryEmail(order) {
+  try {
+    await sendOrderNotificationEmail(
+      order.shippingAddress.email,
+      'order_cancelled',
+      {
+        customerName: order.shippingAddress.name,
+        orderNumber: order.orderNumber,
+        amount: order.total,
+        orderDate: order.orderDate || order.createdAt,
+        items: order.items,
+        reason: 'We did not receive payment for this order in time.',
+        retryUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+      }
+    );
+  } catch (error) {
+    console.error(
+      `Failed to send expiry email for order ${order.orderNumber}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Cancel every pending, unpaid order older than the configured timeout.
+ * Cancelling through updateStatus records the history and releases stock.
+ * The cancel only saves if the order is still unpaid, so a payment that
+ * lands mid-sweep wins.
+ * @returns {Promise<object>} { expired, skipped, failed }
+ */
+async function expireUnpaidOrders() {
+  const expiryHours = await getExpiryHours();
+  const cutoff = new Date(Date.now() - expiryHours * 60 * 60 * 1000);
+  const unpaid = {
+    status: 'pending',
+    'payment.paymentStatus': 'pending',
+    // A captured Razorpay payment is confirming the order right now
+    'payment.razorpay.status': { $ne: 'captured' },
+  };
+  const query = { ...unpaid, orderDate: { $lt: cutoff } };
+
+  let expired = 0;
+  let skipped = 0;
+  let failed = 0;
+  let batch;
+
+  do {
+    batch = await Order.find(query).sort({ orderDate: 1 }).limit(BATCH_SIZE);
+
+    for (const order of batch) {
+      try {
+        await order.updateStatus('cancelled', {
+          actor: { type: 'system', name: 'Order expiry' },
+          note: EXPIRY_REASON,
+          expect: unpaid,
+        });
+        expired++;
+        console.log(`⏰ Expired unpaid order ${order.orderNumber}`);
+        await sendExpiryEmail(order);
+      } catch (error) {
+        if (error.code === 'ORDER_CHANGED') {
+          skipped++;
+          console.log(
+            `⏭️ Order ${order.orderNumber} changed while expiring it, left as is`
+          );
+          continue;
+        }
+        failed++;
+        console.error(
+          `❌ Failed to expire order ${order.orderNumber}:`,
+          error.message
+        );
+      }
+    }
+  } while (batch.length === BATCH_SIZE && failed === 0);
+
+  return { expired, skipped, failed };
+}
+
+async function runSweep() {
+  // Skip while disconnected or if the previous sweep is still running
+  if (isSweeping || mongoose.connection.readyState !== 1) return;
+
+  isSweeping = true;
+  try {
+    const { expired, skipped, failed } = await expireUnpaidOrders();
+    if (expired || skipped || failed) {
+      console.log(
+        `⏰ Order expiry sweep: ${expired} expired, ${skipped} skipped, ${failed} failed`
+      );
+    }
+  } catch (error) {
+    console.error('❌ Order expiry sweep error:', error);
+  } finally {
+    isSweeping = false;
+  }
+}
+
+/**
+ * Start the background sweeper (no-op if already running)
+ */
+function startOrderExpirySweeper() {
+  if (sweepTimer) return sweepTimer;
+
+  sweepTimer = setInterval(runSweep, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+  sweepTimer.unref();
+
+  // Catch up on orders that expired while the server was down
+  if (mongoose.connection.readyState === 1) {
+    runSweep();
+  } else {
+    mongoose.connection.once('connected', runSweep);
+  }
+  console.log(
+    `⏰ Order expiry sweeper running every ${SWEEP_INTERVAL_MINUTES} minutes`
+  );
+  return sweepTimer;
+}
+
+function stopOrderExpirySweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+  mongoose.connection.off('connected', runSweep);
+}
+
+module.exports = {
+  expireUnpaidOrders,
+  startOrderExpirySweeper,
+  stopOrderExpirySweeper,
+  EXPIRY_REASON,
+};
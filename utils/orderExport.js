@@ -0,0 +1,251 @@
+// utils/orderExport.js - Stream orders to CSV or XLSX for accounting
+//
+// Orders are read through a mongo cursor and written row by row, so an
+// export of any size only holds one batch of orders in memory.
+//
+// Two layouts:
+//   orders  one row per order
+//   items   one row per line item; order-level amounts (delivery, COD fee,
+//           total...) are only filled on an order's first line so column
+//           sums still add up
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const Order = require('../models/Order');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+};
+
+const EXPORT_LAYOUTS = ['orders', 'items'];
+
+const CURSOR_BATCH_SIZE = 500;
+
+// Fields the export reads; everything else stays in the database
+const EXPORT_FIELDS = [
+  'orderNumber',
+  'legacyOrderNumber',
+  'orderDate',
+  'createdAt',
+  'status',
+  'userName',
+  'userEmail',
+  'userPhone',
+  'shippingAddress',
+  'items',
+  'subtotal',
+  'discount',
+  'deliveryCharges',
+  'deliveryInfo.codFee',
+  'tax',
+  'taxBreakdown',
+  'total',
+  'payment.method',
+  'payment.paymentStatus',
+  'payment.transactionId',
+  'payment.verifiedAt',
+  'payment.refundedAmount',
+  'payment.razorpay.paymentId',
+  'payment.cod.reference',
+  'payment.cod.collectedAt',
+  'invoice.number',
+  'trackingNumber',
+].join(' ');
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : '');
+
+// UTR for UPI, Razorpay payment id, or the COD collection reference
+const getPaymentReference = (payment = {}) =>
+  payment.transactionId || payment.razorpay?.paymentId || payment.cod?.reference || '';
+
+const getPaymentDate = (payment = {}) => payment.verifiedAt || payment.cod?.collectedAt;
+
+// [header, value(order)] for one-row-per-order exports
+const ORDER_COLUMNS = [
+  ['Order Number', (order) => order.orderNumber],
+  ['Legacy Order Number', (order) => order.legacyOrderNumber || ''],
+  ['Order Date', (order) => formatDate(order.orderDate || order.createdAt)],
+  ['Status', (order) => order.status],
+  ['Customer Name', (order) => order.shippingAddress?.name || order.userName || ''],
+  ['Customer Email', (order) => order.shippingAddress?.email || order.userEmail || ''],
+  ['Customer Phone', (order) => order.shippingAddress?.phone || order.userPhone || ''],
+  ['City', (order) => order.shippingAddress?.city || ''],
+  ['State', (order) => order.shippingAddress?.state || ''],
+  ['PIN Code', (order) => order.shippingAddress?.zipCode || ''],
+  ['Item Count', (order) => (order.items || []).reduce((sum, item) => sum + item.quantity, 0)],
+  ['Subtotal', (order) => order.subtotal],
+  ['Discount', (order) => order.discount || 0],
+  ['Delivery Charges', (order) => order.deliveryCharges || 0],
+  ['COD Fee', (order) => order.deliveryInfo?.codFee || 0],
+  ['Prices Include Tax', (order) => (order.taxBreakdown?.pricesIncludeTax === false ? 'No' : 'Yes')],
+  ['Taxable Value', (order) => order.taxBreakdown?.taxableValue || 0],
+  ['CGST', (order) => order.taxBreakdown?.cgst || 0],
+  ['SGST', (order) => order.taxBreakdown?.sgst || 0],
+  ['IGST', (order) => order.taxBreakdown?.igst || 0],
+  ['Total Tax', (order) => order.taxBreakdown?.totalTax ?? order.tax ?? 0],
+  ['Order Total', (order) => order.total],
+  ['Payment Method', (order) => order.payment?.method || ''],
+  ['Payment Status', (order) => order.payment?.paymentStatus || ''],
+  ['Payment Reference', (order) => getPaymentReference(order.payment)],
+  ['Payment Date', (order) => formatDate(getPaymentDate(order.payment))],
+  ['Refunded', (order) => order.payment?.refundedAmount || 0],
+  ['Invoice Number', (order) => order.invoice?.number || ''],
+  ['Tracking Number', (order) => order.trackingNumber || ''],
+];
+
+// Order-level columns repeated on every line vs. only on the first
+const ITEM_ORDER_COLUMNS = ['Order Number', 'Order Date', 'Status', 'Customer Name', 'State'];
+const ITEM_ORDER_TOTAL_COLUMNS = [
+  'Delivery Charges',
+  'COD Fee',
+  'Order Total',
+  'Payment Method',
+  'Payment Status',
+  'Payment Reference',
+  'Invoice Number',
+];
+
+const pickOrderColumns = (headers) =>
+  headers.map((header) => ORDER_COLUMNS.find(([name]) => name === header));
+
+// [header, value(order, item, index)] for one-row-per-item exports
+const ITEM_COLUMNS = [
+  ...pickOrderColumns(ITEM_ORDER_COLUMNS).map(([header, value]) => [
+    header,
+    (order) => value(order),
+  ]),
+  ['Line', (order, item, index) => index + 1],
+  ['Product', (order, item) => item.name],
+  ['HSN Code', (order, item) => item.hsnCode || ''],
+  ['Quantity', (order, item) => item.quantity],
+  ['Unit Price', (order, item) => item.price],
+  ['Line Total', (order, item) => item.totalPrice],
+  ['GST Rate', (order, item) => item.gstRate ?? ''],
+  ['Taxable Value', (order, item) => item.taxableValue || 0],
+  ['CGST', (order, item) => item.cgst || 0],
+  ['SGST', (order, item) => item.sgst || 0],
+  ['IGST', (order, item) => item.igst || 0],
+  ['Tax Amount', (order, item) => item.taxAmount || 0],
+  ...pickOrderColumns(ITEM_ORDER_TOTAL_COLUMNS).map(([header, value]) => [
+    header,
+    (order, item, index) => (index === 0 ? value(order) : ''),
+  ]),
+];
+
+/**
+ * Header row for a layout
+ */
+function getExportHeaders(layout) {
+  return (layout === 'items' ? ITEM_COLUMNS : ORDER_COLUMNS).map(([header]) => header);
+}
+
+/**
+ * Spreadsheet rows (arrays of cell values) for one order
+ */
+function orderToRows(order, layout) {
+  if (layout !== 'items') {
+    return [ORDER_COLUMNS.map(([, value]) => value(order))];
+  }
+  return (order.items || []).map((item, index) =>
+    ITEM_COLUMNS.map(([, value]) => value(order, item, index))
+  );
+}
+
+// Keep spreadsheet apps from running cell text as a formula
+const neutraliseFormula = (value) =>
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+function toCsvCell(value) {
+  const text = String(neutraliseFormula(value ?? ''));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsvLine = (cells) => `${cells.map(toCsvCell).join(',')}\r\n`;
+
+const exportAborted = () => {
+  const error = new Error('Export stopped: the client disconnected');
+  error.code = 'EXPORT_ABORTED';
+  return error;
+};
+
+// Write with backpressure; stops if the client goes away
+async function writeChunk(output, text) {
+  if (output.destroyed) throw exportAborted();
+  if (!output.write(text)) {
+    await Promise.race([once(output, 'drain'), once(output, 'close')]);
+    if (output.destroyed) throw exportAborted();
+  }
+}
+
+async function writeCsv(orders, output, layout) {
+  // BOM so Excel opens the file as UTF-8 (₹, non-Latin names)
+  await writeChunk(output, `\uFEFF${toCsvLine(getExportHeaders(layout))}`);
+
+  let count = 0;
+  for await (const order of orders) {
+    for (const row of orderToRows(order, layout)) {
+      await writeChunk(output, toCsvLine(row));
+    }
+    count++;
+  }
+
+  output.end();
+  return count;
+}
+
+async function writeXlsx(orders, output, layout) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet(layout === 'items' ? 'Order Items' : 'Orders');
+  sheet.addRow(getExportHeaders(layout)).commit();
+
+  let count = 0;
+  for await (const order of orders) {
+    if (output.destroyed) throw exportAborted();
+    for (const row of orderToRows(order, layout)) {
+      sheet.addRow(row.map(neutraliseFormula)).commit();
+    }
+    count++;
+  }
+
+  sheet.commit();
+  await workbook.commit();
+  return count;
+}
+
+/**
+ * Stream orders matching a filter to a writable stream (e.g. the response)
+ * @param {object} filter - From buildOrderFilter
+ * @param {object} output - Writable stream; ended when done
+ * @param {object} options - { format: 'csv'|'xlsx', layout: 'orders'|'items' }
+ * @returns {Promise<number>} Number of orders written
+ */
+async function streamOrderExport(filter, output, { format, layout }) {
+  const cursor = Order.find(filter)
+    .select(EXPORT_FIELDS)
+    .sort({ orderDate: -1 })
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+  try {
+    return format === 'xlsx'
+      ? await writeXlsx(cursor, output, layout)
+      : await writeCsv(cursor, output, layout);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  streamOrderExport,
+  getExportHeaders,
+  orderToRows,
+  EXPORT_FORMATS,
+  EXPORT_LAYOUTS,
+};
@@ -0,0 +1,82 @@
+// utils/orderFilters.js - Admin order list filters shared by the list and export endpoints
+//
+// Query parameters:
+//   status          order status ('all' = any)
+//   paymentStatus   payment.paymentStatus ('all' = any)
+//   from, to        order date range; a bare YYYY-MM-DD 'to' covers that whole day
+//   state           shipping state, case-insensitive
+//   razorpayRefund  payment.razorpay.refundStatus ('failed' = refund by hand)
+//   search          order number, customer name, email, phone, transaction
+//                   id, pincode or tracking number (see utils/orderSearch)
+const { buildOrderSearchFilter, escapeRegex } = require('./orderSearch');
+
+const filterError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FILTER';
+  return error;
+};
+
+function parseDate(value, name, endOfDay) {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw filterError(`'${name}' must be a date (YYYY-MM-DD)`);
+  }
+
+  // Date-only strings parse as midnight UTC; shift to the end of that day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+const isSet = (value) => typeof value === 'string' && value.trim() && value !== 'all';
+
+/**
+ * Build a mongo filter from admin list query parameters
+ * @param {object} query - req.query
+ * @returns {object} Order filter
+ */
+function buildOrderFilter(query = {}) {
+  const { status, paymentStatus, from, to, state, razorpayRefund, search } =
+    query;
+  const filter = {};
+
+  if (isSet(status)) {
+    filter.status = status;
+  }
+
+  if (isSet(paymentStatus)) {
+    filter['payment.paymentStatus'] = paymentStatus;
+  }
+
+  if (isSet(from) || isSet(to)) {
+    filter.orderDate = {};
+    if (isSet(from)) filter.orderDate.$gte = parseDate(from, 'from', false);
+    if (isSet(to)) filter.orderDate.$lte = parseDate(to, 'to', true);
+
+    if (filter.orderDate.$gte > filter.orderDate.$lte) {
+      throw filterError("'from' must be on or before 'to'");
+    }
+  }
+
+  if (isSet(state)) {
+    filter['shippingAddress.state'] = {
+      $regex: `^${escapeRegex(state.trim())}$`,
+      $options: 'i',
+    };
+  }
+
+  if (isSet(razorpayRefund)) {
+    filter['payment.razorpay.refundStatus'] = razorpayRefund;
+  }
+
+  if (isSet(search)) {
+    Object.assign(filter, buildOrderSearchFilter(search));
+  }
+
+  return filter;
+}
+
+module.exports = {
+  buildOrderFilter,
+};
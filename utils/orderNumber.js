@@ -0,0 +1,35 @@
+// utils/orderNumber.js - Sequential order numbers (LB-2026-000123)
+const Counter = require('../models/Counter');
+
+const ORDER_NUMBER_PREFIX = 'LB';
+const ORDER_NUMBER_PATTERN = /^LB-\d{4}-\d{6,}$/;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Calendar year in IST for a date
+ */
+function getOrderYear(date = new Date()) {
+  return new Date(new Date(date).getTime() + IST_OFFSET_MS).getUTCFullYear();
+}
+
+function formatOrderNumber(year, sequence) {
+  return `${ORDER_NUMBER_PREFIX}-${year}-${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Next order number from the atomic per-year counter
+ * @param {Date} [date] - Order date (defaults to now)
+ * @returns {Promise<string>}
+ */
+async function generateOrderNumber(date = new Date()) {
+  const year = getOrderYear(date);
+  const sequence = await Counter.next(`order-${year}`);
+  return formatOrderNumber(year, sequence);
+}
+
+module.exports = {
+  generateOrderNumber,
+  formatOrderNumber,
+  getOrderYear,
+  ORDER_NUMBER_PATTERN,
+};
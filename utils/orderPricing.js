@@ -0,0 +1,246 @@
+// utils/orderPricing.js - Server-side order pricing
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { calculateDeliveryCharges } = require('./deliveryChargeCalculator');
+const { calculateGst } = require('./gstCalculator');
+
+// Bulk discount tiers (minimum total quantity → percent off)
+const BULK_DISCOUNT_TIERS = [
+  { minQuantity: 50, percent: 20 },
+  { minQuantity: 20, percent: 15 },
+  { minQuantity: 10, percent: 10 },
+  { minQuantity: 5, percent: 5 },
+];
+
+// Allowed difference between client and server amounts (floating point noise)
+const PRICE_TOLERANCE = 0.01;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id) && /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+const pricingError = (message, code, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * Get bulk discount percent for a total quantity
+ */
+function getBulkDiscountPercent(totalQuantity) {
+  const tier = BULK_DISCOUNT_TIERS.find((t) => totalQuantity >= t.minQuantity);
+  return tier ? tier.percent : 0;
+}
+
+const findProduct = (productId) =>
+  productId && isValidObjectId(productId.toString())
+    ? Product.findById(productId)
+    : null;
+
+/**
+ * Resolve client cart lines against the catalogue.
+ * Every line is priced from Product. The user's cart is only used to map a
+ * cart line id to its product; its stored prices come from the browser
+ * (/api/cart/add) and are never trusted.
+ * @param {Array} clientItems - Items sent by the browser (id + quantity are used)
+ * @param {object} user - Authenticated user document (for User.cart)
+ * @returns {Promise<Array>} Order lines with server prices
+ */
+async function resolveOrderItems(clientItems, user) {
+  const storedCart = Array.isArray(user?.cart) ? user.cart : [];
+  const items = [];
+
+  for (const [index, item] of clientItems.entries()) {
+    const productId = item.productId || item.id || item._id;
+    const quantity = parseInt(item.quantity);
+
+    if (!productId) {
+      throw pricingError(
+        `Item at index ${index} is missing a product ID`,
+        'INVALID_ITEM'
+      );
+    }
+
+    if (isNaN(quantity) || quantity <= 0) {
+      throw pricingError(
+        `Invalid quantity for item: ${item.name || productId}`,
+        'INVALID_ITEM'
+      );
+    }
+
+    let product = await findProduct(productId);
+
+    if (!product) {
+      // The browser may send the cart line's own id instead of the product's
+      const cartItem = storedCart.find(
+        (c) =>
+          (c.productId != null && c.productId.toString() === productId.toString()) ||
+          (c._id != null && c._id.toString() === productId.toString())
+      );
+      product = await findProduct(cartItem?.productId);
+    }
+
+    if (!product) {
+      throw pricingError(
+        `Item is no longer available: ${item.name || productId}`,
+        'ITEM_UNAVAILABLE',
+        { productId }
+      );
+    }
+
+    if (!product.hasStock(quantity)) {
+      throw pricingError(
+        `Only ${product.stock} of ${product.name} available in stock`,
+        'INSUFFICIENT_STOCK',
+        { productId: product._id, available: product.stock }
+      );
+    }
+
+    const line = {
+      productId: product._id,
+      name: product.name,
+      price: product.discountPrice || product.price,
+      image: product.images?.[0] || item.image || null,
+      hsnCode: product.hsnCode,
+      gstRate: product.gstRate,
+    };
+
+    const price = roundAmount(line.price);
+    items.push({
+      ...line,
+      price,
+      quantity,
+      totalPrice: roundAmount(price * quantity),
+      clientPrice: item.price != null ? parseFloat(item.price) : null,
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Price an order entirely on the server
+ * @param {object} params
+ * @param {Array} params.items - Client cart items
+ * @param {object} params.user - Authenticated user document
+ * @param {string} params.pincode - Delivery pincode
+ * @param {string} [params.state] - Shipping address state (GST place of supply fallback)
+ * @param {number} [params.codFee] - Cash on Delivery fee, charged with delivery
+ * @returns {Promise<object>} Resolved items, totals, delivery and GST info
+ */
+async function priceOrder({
+  items: clientItems,
+  user,
+  pincode,
+  state,
+  codFee = 0,
+}) {
+  const resolved = await resolveOrderItems(clientItems, user);
+
+  const subtotal = roundAmount(
+    resolved.reduce((sum, item) => sum + item.totalPrice, 0)
+  );
+  const totalQuantity = resolved.reduce((sum, item) => sum + item.quantity, 0);
+  const bulkDiscountPercent = getBulkDiscountPercent(totalQuantity);
+  const discount = roundAmount((subtotal * bulkDiscountPercent) / 100);
+
+  const deliveryQuote = await calculateDeliveryCharges(
+    pincode,
+    subtotal - discount
+  );
+  const cashOnDeliveryFee = roundAmount(codFee);
+  const deliveryInfo = {
+    ...deliveryQuote,
+    charges: roundAmount(deliveryQuote.charges + cashOnDeliveryFee),
+    codFee: cashOnDeliveryFee,
+  };
+  const deliveryCharges = deliveryInfo.charges;
+
+  // Place of supply is the delivery state; the pincode lookup is authoritative
+  const gst = calculateGst({
+    items: resolved,
+    discount,
+    deliveryCharges,
+    placeOfSupply: deliveryInfo.state || state,
+  });
+  const tax = gst.breakdown.totalTax;
+  const total = roundAmount(
+    subtotal -
+      discount +
+      deliveryCharges +
+      (gst.breakdown.pricesIncludeTax ? 0 : tax)
+  );
+
+  const repricedItems = resolved
+    .filter(
+      (item) =>
+        item.clientPrice != null &&
+        !isNaN(item.clientPrice) &&
+        Math.abs(item.clientPrice - item.price) > PRICE_TOLERANCE
+    )
+    .map((item) => ({
+      productId: item.productId,
+      name: item.name,
+      clientPrice: item.clientPrice,
+      price: item.price,
+    }));
+
+  return {
+    items: gst.items.map(({ clientPrice, discount, ...item }) => item),
+    repricedItems,
+    subtotal,
+    totalQuantity,
+    bulkDiscountPercent,
+    discount,
+    deliveryCharges,
+    deliveryInfo,
+    codFee: cashOnDeliveryFee,
+    tax,
+    taxBreakdown: gst.breakdown,
+    total,
+  };
+}
+
+/**
+ * Compare the totals the client displayed with the server's pricing.
+ * Only amounts the client actually sent are compared.
+ * @returns {object|null} Mismatch details, or null if everything agrees
+ */
+function comparePricing(clientTotals, pricing) {
+  const fields = ['subtotal', 'discount', 'deliveryCharges', 'total'];
+  const differences = {};
+
+  fields.forEach((field) => {
+    const clientValue = parseFloat(clientTotals[field]);
+    if (isNaN(clientValue)) return;
+
+    const difference = roundAmount(pricing[field] - clientValue);
+    if (Math.abs(difference) > PRICE_TOLERANCE) {
+      differences[field] = {
+        client: roundAmount(clientValue),
+        server: pricing[field],
+        difference,
+      };
+    }
+  });
+
+  if (Object.keys(differences).length === 0 && pricing.repricedItems.length === 0) {
+    return null;
+  }
+
+  return { differences, repricedItems: pricing.repricedItems };
+}
+
+module.exports = {
+  priceOrder,
+  resolveOrderItems,
+  comparePricing,
+  getBulkDiscountPercent,
+  roundAmount,
+  isValidObjectId,
+  BULK_DISCOUNT_TIERS,
+};
@@ -0,0 +1,214 @@
+// utils/orderSearch.js - Admin order search over customer and payment details
+//
+// Each order keeps a normalised `searchKeys` array (lower case; phone numbers
+// as 10 digits without +91) built from the fields support staff search by.
+// A query is split into terms and every term must be a prefix of some key,
+// which an index on searchKeys answers with a range scan; for queries shaped
+// like an order number a substring of it also matches (buildOrderSearchFilter).
+// The candidates are
+// then ranked here by which field matched and how closely.
+const MIN_TERM_LENGTH = 2;
+const MAX_TERMS = 5;
+
+// Higher weight = stronger evidence it is the order being looked for
+const SEARCH_FIELDS = {
+  orderNumber: 100,
+  transactionId: 90,
+  trackingNumber: 80,
+  phone: 70,
+  email: 60,
+  name: 40,
+  pincode: 30,
+};
+
+// Prefix matches score this share of an exact match
+const PREFIX_FACTOR = 0.6;
+// ...and order numbers merely containing the term this share
+const SUBSTRING_FACTOR = 0.3;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalise = (value) => String(value ?? '').trim().toLowerCase();
+
+// Indian mobile numbers are entered with or without +91 / 0
+function normalisePhone(value) {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+  return digits;
+}
+
+// A 12-digit term may be +91 and a phone number, or a UPI UTR: try both
+const termAlternatives = (term) => {
+  const phone = /^\d+$/.test(term) ? normalisePhone(term) : term;
+  return phone === term ? [term] : [term, phone];
+};
+
+const looksLikePhone = (term) => /^\+?[\d\s-]{6,}$/.test(term);
+
+// Digits, 'LB-...', or a legacy LB/ORD<timestamp> number
+const looksLikeOrderNumber = (text) =>
+  /^(?:lb-?|ord)?[\d-]*\d[\d-]*$/i.test(text) || /^lb-/i.test(text);
+
+/**
+ * Searchable values of an order, grouped by field
+ * @returns {object} { orderNumber: [...], name: [...], ... }
+ */
+function getSearchValues(order) {
+  const address = order.shippingAddress || {};
+  const name = [address.name, order.userName].map(normalise).filter(Boolean);
+
+  return {
+    orderNumber: [order.orderNumber, order.legacyOrderNumber].map(normalise),
+    // UPI UTR, or the payment id of a Razorpay payment
+    transactionId: [order.payment?.transactionId, order.payment?.razorpay?.paymentId].map(
+      normalise
+    ),
+    trackingNumber: [
+      order.trackingNumber,
+      ...(order.shipments || []).map((shipment) => shipment.trackingNumber),
+    ].map(normalise),
+    phone: [address.phone, order.userPhone].map(normalisePhone),
+    email: [address.email, order.userEmail].map(normalise),
+    // Full name plus each word, so 'kumar' finds 'Ravi Kumar'
+    name: [...name, ...name.flatMap((full) => full.split(/\s+/))],
+    pincode: [address.zipCode].map(normalise),
+  };
+}
+
+/**
+ * Keys stored on the order for indexing (unique, non-empty)
+ */
+function buildSearchKeys(order) {
+  const values = Object.values(getSearchValues(order)).flat();
+  return [...new Set(values.filter((value) => value.length > 0))];
+}
+
+/**
+ * Split a search box query into normalised terms
+ * A query that looks like a phone number is one term of its digits.
+ * @returns {Array<string>}
+ */
+function parseSearchTerms(query) {
+  const text = String(query ?? '').trim();
+  if (!text) return [];
+
+  if (looksLikePhone(text)) {
+    return [text.replace(/\D/g, '')];
+  }
+
+  return [...new Set(text.toLowerCase().split(/\s+/))]
+    .filter((term) => term.length >= MIN_TERM_LENGTH)
+    .slice(0, MAX_TERMS);
+}
+
+const prefixRegex = (term) => new RegExp(`^${escapeRegex(term)}`);
+
+/**
+ * Mongo filter: every term is a prefix of one of the order's search keys
+ */
+function buildSearchFilter(terms) {
+  const conditions = terms.map((term) => {
+    const alternatives = termAlternatives(term);
+    return alternatives.length === 1
+      ? { searchKeys: prefixRegex(term) }
+      : { $or: alternatives.map((alternative) => ({ searchKeys: prefixRegex(alternative) })) };
+  });
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+/**
+ * Search box filter: buildSearchFilter, plus a case-insensitive substring
+ * of the order number (what admin search matched before searchKeys) when
+ * the query looks like an order number. The fallback finds partial numbers
+ * such as '000123' and orders without keys until
+ * migration/backfillOrderSearchKeys.js has run. It scans every order, so
+ * names, emails and other text only use the indexed searchKeys branch.
+ * @param {string} query - Raw search box text
+ */
+function buildOrderSearchFilter(query) {
+  const text = String(query ?? '').trim();
+  const terms = parseSearchTerms(text);
+  const conditions = terms.length > 0 ? [buildSearchFilter(terms)] : [];
+
+  if (looksLikeOrderNumber(text)) {
+    const orderNumberMatch = { $regex: escapeRegex(text), $options: 'i' };
+    conditions.unshift(
+      { orderNumber: orderNumberMatch },
+      { legacyOrderNumber: orderNumberMatch }
+    );
+  }
+
+  // Nothing searchable (e.g. one letter): match no orders
+  if (conditions.length === 0) return { _id: null };
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
+
+/**
+ * Score an order against the terms
+ * @returns {object} { score, matchedOn }
+ */
+function scoreOrder(order, terms) {
+  const values = getSearchValues(order);
+  const matchedOn = new Set();
+  let score = 0;
+
+  terms.forEach((term) => {
+    let best = 0;
+    let bestField = null;
+
+    Object.entries(values).forEach(([field, fieldValues]) => {
+      const weight = SEARCH_FIELDS[field];
+      fieldValues.forEach((value) => {
+        if (!value) return;
+        termAlternatives(term).forEach((alternative) => {
+          const points =
+            value === alternative
+              ? weight
+              : value.startsWith(alternative)
+                ? weight * PREFIX_FACTOR
+                : field === 'orderNumber' && value.includes(alternative)
+                  ? weight * SUBSTRING_FACTOR
+                  : 0;
+          if (points > best) {
+            best = points;
+            bestField = field;
+          }
+        });
+      });
+    });
+
+    score += best;
+    if (bestField) matchedOn.add(bestField);
+  });
+
+  return { score: Math.round(score), matchedOn: [...matchedOn] };
+}
+
+/**
+ * Rank orders best match first, newest first on ties
+ * @returns {Array<object>} [{ order, score, matchedOn }]
+ */
+function rankOrders(orders, terms) {
+  return orders
+    .map((order) => ({ order, ...scoreOrder(order, terms) }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        new Date(b.order.orderDate || b.order.createdAt) -
+          new Date(a.order.orderDate || a.order.createdAt)
+    );
+}
+
+module.exports = {
+  buildSearchKeys,
+  parseSearchTerms,
+  buildSearchFilter,
+  buildOrderSearchFilter,
+  rankOrders,
+  normalisePhone,
+  escapeRegex,
+  SEARCH_FIELDS,
+  MIN_TERM_LENGTH,
+};
@@ -0,0 +1,175 @@
+// utils/orderStatus.js - Order status transition graph and timeline helpers
+
+// Allowed status changes. Anything not listed here is rejected.
+const STATUS_TRANSITIONS = {
+  pending: ['payment_submitted', 'confirmed', 'cancelled', 'payment_failed'],
+  payment_submitted: ['confirmed', 'cancelled', 'payment_failed'],
+  payment_failed: ['payment_submitted', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['partially_shipped', 'shipped', 'cancelled'],
+  // Some parcels have left; the rest must follow before delivery
+  partially_shipped: ['shipped'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: [],
+};
+
+// Steps back when parcels are cancelled with the courier. Only the order's
+// own shipment sync (Order.syncShipmentStatus) may take these.
+const SHIPMENT_STEP_BACKS = {
+  partially_shipped: ['processing'],
+  shipped: ['partially_shipped', 'processing'],
+};
+
+// Main (happy path) flow shown on the tracking timeline
+const MAIN_FLOW = [
+  'pending',
+  'payment_submitted',
+  'confirmed',
+  'processing',
+  'partially_shipped',
+  'shipped',
+  'delivered',
+];
+
+// Main flow steps only shown once the order has reached them
+const OPTIONAL_STEPS = ['partially_shipped'];
+
+const STATUS_LABELS = {
+  pending: 'Order Placed',
+  payment_submitted: 'Payment Submitted',
+  confirmed: 'Payment Verified & Order Confirmed',
+  processing: 'Processing',
+  partially_shipped: 'Partially Shipped',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  returned: 'Returned',
+  payment_failed: 'Payment Failed',
+};
+
+/**
+ * Check whether an order may move from one status to another
+ */
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether cancelled parcels may move an order back a status
+ */
+function canStepBack(from, to) {
+  return (SHIPMENT_STEP_BACKS[from] || []).includes(to);
+}
+
+/**
+ * Describe who is acting on an order from the authenticated request
+ * @returns {object} { type: 'user' | 'admin' | 'api-key' | 'system', id, name }
+ */
+function getRequestActor(req) {
+  if (req?.admin) {
+    if (req.admin.method === 'api-key') {
+      return { type: 'api-key', id: req.admin.id, name: req.admin.username };
+    }
+    return {
+      type: 'admin',
+      id: req.admin.id ? req.admin.id.toString() : null,
+      name: req.admin.username,
+    };
+  }
+
+  if (req?.user) {
+    return {
+      type: 'user',
+      id: req.user._id.toString(),
+      name: req.user.name,
+    };
+  }
+
+  return { type: 'system', id: null, name: 'System' };
+}
+
+/**
+ * Fallback dates for orders created before statusHistory existed
+ */
+function legacyStatusDate(order, status) {
+  switch (status) {
+    case 'pending':
+      return order.orderDate || order.createdAt;
+    case 'payment_submitted':
+      return order.payment?.submittedAt || null;
+    case 'confirmed':
+      return order.confirmedAt || null;
+    case 'shipped':
+      return order.shippedAt || null;
+    case 'delivered':
+      return order.deliveredAt || null;
+    case 'cancelled':
+      return order.cancelledAt || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the tracking timeline from the order's status history
+ * @param {object} order - Order document
+ * @returns {Array} Timeline steps ({ status, label, date, completed, actor, note })
+ */
+function buildTimeline(order) {
+  const history = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+
+  // Latest history entry per status
+  const lastEntry = {};
+  history.forEach((entry) => {
+    lastEntry[entry.status] = entry;
+  });
+
+  const currentIndex = MAIN_FLOW.indexOf(order.status);
+  const reachedIndex = MAIN_FLOW.reduce(
+    (max, status, index) => (lastEntry[status] ? Math.max(max, index) : max),
+    Math.max(currentIndex, 0)
+  );
+
+  const step = (status, reached) => {
+    const entry = lastEntry[status];
+    const date = entry?.timestamp || legacyStatusDate(order, status);
+    return {
+      status,
+      label: STATUS_LABELS[status],
+      date,
+      completed: reached || !!date,
+      actor: entry?.actor?.type || null,
+      note: entry?.note || null,
+    };
+  };
+
+  const timeline = MAIN_FLOW.map((status, index) =>
+    step(status, index <= reachedIndex || !!lastEntry[status])
+  ).filter(
+    (entry) =>
+      !OPTIONAL_STEPS.includes(entry.status) ||
+      !!lastEntry[entry.status] ||
+      order.status === entry.status
+  );
+
+  // Branch statuses are appended once the order has reached them
+  ['payment_failed', 'cancelled', 'returned'].forEach((status) => {
+    if (lastEntry[status] || order.status === status) {
+      timeline.push(step(status, true));
+    }
+  });
+
+  return timeline;
+}
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  STATUS_LABELS,
+  MAIN_FLOW,
+  canTransition,
+  canStepBack,
+  getRequestActor,
+  buildTimeline,
+};
@@ -0,0 +1,290 @@
+// utils/paymentRisk.js - Fraud risk score for UPI payment submissions
+//
+// Each signal adds points; the total (capped at 100) is stored on the order
+// as payment.risk so admins can check the riskiest submissions first.
+const Order = require('../models/Order');
+const { UPI_ID_PATTERN, getUpiPayee } = require('./upiPayment');
+
+const MINUTE_MS = 60 * 1000;
+
+const RISK_RULES = {
+  transactionIdOtherUser: 45, // same UTR on another customer's order
+  transactionIdOwnOrder: 20, // same UTR on another of the customer's orders
+  screenshotOtherUser: 40, // byte-identical screenshot from another customer
+  screenshotOwnOrder: 25,
+  invalidUpiHandle: 10,
+  upiHandleIsPayee: 15, // customer entered our own UPI ID as the payer
+  upiHandleSharedAcrossUsers: 15,
+  ipBurst: 20, // many submissions from one IP
+  userAgentBurst: 10,
+  amountAboveHistory: 15, // far above what the customer usually spends
+  largeFirstOrder: 10,
+};
+
+const BURST_RULES = {
+  ip: { windowMinutes: 60, maxSubmissions: 3 },
+  userAgent: { windowMinutes: 10, maxSubmissions: 5 },
+};
+
+const AMOUNT_RULES = {
+  historyMultiplier: 3, // flag totals above 3x the customer's average
+  minHistoryOrders: 2,
+  largeFirstOrderAmount: 10000,
+};
+
+const RISK_LEVELS = [
+  { level: 'high', minScore: 60 },
+  { level: 'medium', minScore: 30 },
+  { level: 'low', minScore: 0 },
+];
+
+const getRiskLevel = (score) =>
+  RISK_LEVELS.find((entry) => score >= entry.minScore).level;
+
+const isSameUser = (a, b) => a && b && a.toString() === b.toString();
+
+// Split matches into the customer's own orders and other customers'
+function splitByUser(orders, userId) {
+  return {
+    own: orders.filter((other) => isSameUser(other.userId, userId)),
+    others: orders.filter((other) => !isSameUser(other.userId, userId)),
+  };
+}
+
+async function checkTransactionId(order, transactionId, addSignal) {
+  if (!transactionId) return;
+
+  // Any status: a UTR from a rejected or cancelled order is still suspicious
+  const matches = await Order.find({
+    _id: { $ne: order._id },
+    'payment.transactionId': transactionId,
+  })
+    .select('userId')
+    .lean();
+  const { own, others } = splitByUser(matches, order.userId);
+
+  if (others.length > 0) {
+    addSignal(
+      'TXN_REUSED_OTHER_USER',
+      RISK_RULES.transactionIdOtherUser,
+      `Transaction ID also used on ${others.length} other customer order(s)`,
+      others
+    );
+  } else if (own.length > 0) {
+    addSignal(
+      'TXN_REUSED',
+      RISK_RULES.transactionIdOwnOrder,
+      `Transaction ID already submitted for ${own.length} other order(s)`,
+      own
+    );
+  }
+}
+
+async function checkScreenshot(order, screenshotHash, addSignal) {
+  if (!screenshotHash) return;
+
+  const matches = await Order.find({
+    _id: { $ne: order._id },
+    'payment.screenshotFile.sha256': screenshotHash,
+  })
+    .select('userId')
+    .lean();
+  const { own, others } = splitByUser(matches, order.userId);
+
+  if (others.length > 0) {
+    addSignal(
+      'SCREENSHOT_REUSED_OTHER_USER',
+      RISK_RULES.screenshotOtherUser,
+      `Same screenshot as ${others.length} other customer order(s)`,
+      others
+    );
+  } else if (own.length > 0) {
+    addSignal(
+      'SCREENSHOT_REUSED',
+      RISK_RULES.screenshotOwnOrder,
+      `Same screenshot as ${own.length} other order(s)`,
+      own
+    );
+  }
+}
+
+async function checkUpiHandle(order, upiId, payeeUpiId, addSignal) {
+  if (!upiId) return;
+
+  const handle = upiId.trim().toLowerCase();
+  if (!UPI_ID_PATTERN.test(handle)) {
+    addSignal('UPI_HANDLE_INVALID', RISK_RULES.invalidUpiHandle, `'${upiId}' is not a valid UPI ID`);
+    return;
+  }
+
+  if (payeeUpiId && handle === payeeUpiId.trim().toLowerCase()) {
+    addSignal(
+      'UPI_HANDLE_IS_PAYEE',
+      RISK_RULES.upiHandleIsPayee,
+      'Payer UPI ID is the shop\'s own UPI ID'
+    );
+  }
+
+  const otherUsers = await Order.distinct('userId', {
+    _id: { $ne: order._id },
+    userId: { $ne: order.userId },
+    'payment.upiId': handle,
+  });
+  if (otherUsers.length > 0) {
+    addSignal(
+      'UPI_HANDLE_SHARED',
+      RISK_RULES.upiHandleSharedAcrossUsers,
+      `Payer UPI ID was used by ${otherUsers.length} other customer(s)`
+    );
+  }
+}
+
+async function checkBursts(order, { ipAddress, userAgent }, now, addSignal) {
+  const countRecent = (field, value, windowMinutes) =>
+    Order.countDocuments({
+      _id: { $ne: order._id },
+      [field]: value,
+      'payment.submittedAt': { $gte: new Date(now - windowMinutes * MINUTE_MS) },
+    });
+
+  if (ipAddress) {
+    const { windowMinutes, maxSubmissions } = BURST_RULES.ip;
+    const recent = await countRecent('payment.ipAddress', ipAddress, windowMinutes);
+    if (recent >= maxSubmissions) {
+      addSignal(
+        'IP_BURST',
+        RISK_RULES.ipBurst,
+        `${recent} other submissions from ${ipAddress} in the last ${windowMinutes} minutes`
+      );
+    }
+  }
+
+  if (userAgent) {
+    const { windowMinutes, maxSubmissions } = BURST_RULES.userAgent;
+    const recent = await countRecent('payment.userAgent', userAgent, windowMinutes);
+    if (recent >= maxSubmissions) {
+      addSignal(
+        'USER_AGENT_BURST',
+        RISK_RULES.userAgentBurst,
+        `${recent} other submissions from the same browser in the last ${windowMinutes} minutes`
+      );
+    }
+  }
+}
+
+async function checkAmount(order, addSignal) {
+  const history = await Order.find({
+    _id: { $ne: order._id },
+    userId: order.userId,
+    'payment.paymentStatus': { $in: ['verified', 'partially_refunded', 'refunded'] },
+  })
+    .select('total')
+    .lean();
+
+  if (history.length === 0) {
+    if (order.total >= AMOUNT_RULES.largeFirstOrderAmount) {
+      addSignal(
+        'LARGE_FIRST_ORDER',
+        RISK_RULES.largeFirstOrder,
+        `First paid order is Rs. ${order.total}`
+      );
+    }
+    return;
+  }
+
+  if (history.length < AMOUNT_RULES.minHistoryOrders) return;
+
+  const average = history.reduce((sum, past) => sum + past.total, 0) / history.length;
+  if (order.total > average * AMOUNT_RULES.historyMultiplier) {
+    addSignal(
+      'AMOUNT_ABOVE_HISTORY',
+      RISK_RULES.amountAboveHistory,
+      `Rs. ${order.total} is more than ${AMOUNT_RULES.historyMultiplier}x the customer's average of Rs. ${Math.round(average)}`
+    );
+  }
+}
+
+/**
+ * Score a payment submission before it is saved
+ * @param {object} order - Order being paid
+ * @param {object} submission
+ * @param {string} submission.transactionId - Cleaned (upper case) UTR
+ * @param {string} [submission.screenshotHash] - sha256 of the screenshot
+ * @param {string} [submission.upiId] - Payer UPI ID entered by the customer
+ * @param {string} [submission.payeeUpiId] - Our UPI ID (read from Settings if omitted)
+ * @param {string} [submission.ipAddress]
+ * @param {string} [submission.userAgent]
+ * @returns {Promise<object>} { score, level, signals, assessedAt }
+ */
+async function assessPaymentRisk(order, submission = {}) {
+  const signals = [];
+  // Other orders are kept as ids only: messages may reach a log or the UI,
+  // never another customer's order number
+  const addSignal = (code, points, message, relatedOrders = []) =>
+    signals.push({
+      code,
+      points,
+      message,
+      relatedOrderIds: relatedOrders.map((related) => related._id),
+    });
+  const now = Date.now();
+
+  await checkTransactionId(order, submission.transactionId, addSignal);
+  await checkScreenshot(order, submission.screenshotHash, addSignal);
+  const payeeUpiId =
+    submission.payeeUpiId ??
+    (submission.upiId ? (await getUpiPayee()).upiId : null);
+  await checkUpiHandle(order, submission.upiId, payeeUpiId, addSignal);
+  await checkBursts(order, submission, now, addSignal);
+  await checkAmount(order, addSignal);
+
+  const score = Math.min(
+    100,
+    signals.reduce((sum, signal) => sum + signal.points, 0)
+  );
+
+  return {
+    score,
+    level: getRiskLevel(score),
+    signals,
+    assessedAt: new Date(now),
+  };
+}
+
+/**
+ * Admin view of stored risk: each signal gets relatedOrders
+ * ([{ _id, orderNumber }]) looked up from its relatedOrderIds
+ * @param {Array<object>} risks - payment.risk of several orders (nulls allowed)
+ * @returns {Promise<Array<object|null>>} Same order as risks
+ */
+async function withRelatedOrders(risks) {
+  const ids = risks.flatMap((risk) =>
+    (risk?.signals || []).flatMap((signal) => signal.relatedOrderIds || [])
+  );
+  const related = ids.length
+    ? await Order.find({ _id: { $in: ids } }).select('orderNumber').lean()
+    : [];
+  const numbers = new Map(related.map((order) => [order._id.toString(), order.orderNumber]));
+
+  return risks.map((risk) => {
+    if (!risk) return null;
+    const data = risk.toObject ? risk.toObject() : risk;
+    return {
+      ...data,
+      signals: (data.signals || []).map((signal) => ({
+        ...signal,
+        relatedOrders: (signal.relatedOrderIds || []).map((id) => ({
+          _id: id,
+          orderNumber: numbers.get(id.toString()) || null,
+        })),
+      })),
+    };
+  });
+}
+
+module.exports = {
+  assessPaymentRisk,
+  withRelatedOrders,
+  getRiskLevel,
+  RISK_RULES,
+};
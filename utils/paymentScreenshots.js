@@ -0,0 +1,118 @@
+// utils/paymentScreenshots.js - Payment screenshots kept in file storage, not in orders
+const crypto = require('crypto');
+const {
+  getDefaultStorage,
+  getStorageBackend,
+  createSignedUrl,
+} = require('./storage');
+
+const MAX_SCREENSHOT_BYTES = 5 * 1024 * 1024;
+const SCREENSHOT_FOLDER = 'payment-screenshots';
+
+// Content type -> file extension; the bytes are checked, not the client's claim
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+const screenshotError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_SCREENSHOT';
+  return error;
+};
+
+// Image type from its magic bytes, or null
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Decode a base64 screenshot ('data:image/png;base64,...' or bare base64)
+ * @returns {Buffer|null}
+ */
+function decodeBase64Screenshot(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const match = value.trim().match(/^data:[\w/+.-]+;base64,(.*)$/s);
+  const base64 = (match ? match[1] : value).replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/]+=*$/.test(base64)) return null;
+
+  return Buffer.from(base64, 'base64');
+}
+
+/**
+ * Validate and store a screenshot for an order
+ * @param {string} orderId
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<object>} Reference to keep on the order
+ *   { storage, key, contentType, size, sha256, uploadedAt }
+ */
+async function storePaymentScreenshot(orderId, buffer) {
+  if (!buffer || buffer.length === 0) {
+    throw screenshotError('Screenshot is empty');
+  }
+  if (buffer.length > MAX_SCREENSHOT_BYTES) {
+    throw screenshotError('Screenshot must be smaller than 5 MB');
+  }
+
+  const contentType = detectImageType(buffer);
+  if (!contentType) {
+    throw screenshotError('Screenshot must be a JPEG, PNG or WebP image');
+  }
+
+  const storage = getDefaultStorage();
+  const key = `${SCREENSHOT_FOLDER}/${orderId}-${crypto
+    .randomBytes(8)
+    .toString('hex')}.${IMAGE_TYPES[contentType]}`;
+
+  const saved = await storage.save(key, buffer, { contentType });
+
+  return {
+    storage: storage.name,
+    key: saved.key,
+    contentType,
+    size: saved.size,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    uploadedAt: new Date(),
+  };
+}
+
+function getBackend(file) {
+  const backend = getStorageBackend(file?.storage);
+  if (!backend) {
+    throw new Error(`Storage backend '${file?.storage}' is not available`);
+  }
+  return backend;
+}
+
+async function removePaymentScreenshot(file) {
+  if (!file?.key) return false;
+  return getBackend(file).remove(file.key);
+}
+
+/**
+ * Short-lived URL an admin can open to see the screenshot
+ */
+function getPaymentScreenshotUrl(file, ttlSeconds) {
+  if (!file?.key) return null;
+  return createSignedUrl(file, ttlSeconds);
+}
+
+module.exports = {
+  storePaymentScreenshot,
+  removePaymentScreenshot,
+  getPaymentScreenshotUrl,
+  decodeBase64Screenshot,
+  detectImageType,
+  MAX_SCREENSHOT_BYTES,
+  IMAGE_TYPES,
+};
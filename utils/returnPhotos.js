@@ -0,0 +1,78 @@
+// utils/returnPhotos.js - Photos attached to return requests, kept in file storage
+const crypto = require('crypto');
+const {
+  getDefaultStorage,
+  getStorageBackend,
+  createSignedUrl,
+} = require('./storage');
+const { detectImageType, IMAGE_TYPES } = require('./paymentScreenshots');
+
+const MAX_RETURN_PHOTO_BYTES = 5 * 1024 * 1024;
+const RETURN_PHOTO_FOLDER = 'return-photos';
+
+const photoError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_RETURN_PHOTO';
+  return error;
+};
+
+/**
+ * Validate and store a return photo for an order
+ * @param {string} orderId
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<object>} Reference to keep on the return
+ *   { storage, key, contentType, size, sha256, uploadedAt }
+ */
+async function storeReturnPhoto(orderId, buffer) {
+  if (!buffer || buffer.length === 0) {
+    throw photoError('Photo is empty');
+  }
+  if (buffer.length > MAX_RETURN_PHOTO_BYTES) {
+    throw photoError('Each photo must be smaller than 5 MB');
+  }
+
+  const contentType = detectImageType(buffer);
+  if (!contentType) {
+    throw photoError('Photos must be JPEG, PNG or WebP images');
+  }
+
+  const storage = getDefaultStorage();
+  const key = `${RETURN_PHOTO_FOLDER}/${orderId}-${crypto
+    .randomBytes(8)
+    .toString('hex')}.${IMAGE_TYPES[contentType]}`;
+
+  const saved = await storage.save(key, buffer, { contentType });
+
+  return {
+    storage: storage.name,
+    key: saved.key,
+    contentType,
+    size: saved.size,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    uploadedAt: new Date(),
+  };
+}
+
+async function removeReturnPhoto(file) {
+  if (!file?.key) return false;
+  const backend = getStorageBackend(file.storage);
+  if (!backend) {
+    throw new Error(`Storage backend '${file.storage}' is not available`);
+  }
+  return backend.remove(file.key);
+}
+
+/**
+ * Short-lived URL for the customer or admin looking at the return
+ */
+function getReturnPhotoUrl(file, ttlSeconds) {
+  if (!file?.key) return null;
+  return createSignedUrl(file, ttlSeconds);
+}
+
+module.exports = {
+  storeReturnPhoto,
+  removeReturnPhoto,
+  getReturnPhotoUrl,
+  MAX_RETURN_PHOTO_BYTES,
+};
@@ -0,0 +1,98 @@
+// utils/stockManager.js - Atomic stock reservation for order lines
+const Product = require('../models/Product');
+const { isValidObjectId } = require('./orderPricing');
+
+const stockError = (message, details = {}) => {
+  const error = new Error(message);
+  error.code = 'INSUFFICIENT_STOCK';
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * Collapse order lines into one entry per catalogue product.
+ * Lines without a real Product ID (legacy/mock products) are not stock tracked.
+ */
+function groupTrackedItems(items = []) {
+  const grouped = new Map();
+
+  items.forEach((item) => {
+    const productId = item.productId ? item.productId.toString() : null;
+    if (!productId || !isValidObjectId(productId)) return;
+
+    const quantity = parseInt(item.quantity) || 0;
+    if (quantity <= 0) return;
+
+    const existing = grouped.get(productId);
+    grouped.set(productId, {
+      productId,
+      name: item.name,
+      quantity: (existing?.quantity || 0) + quantity,
+    });
+  });
+
+  return [...grouped.values()];
+}
+
+/**
+ * Add stock back for the given lines
+ * @param {Array} items - Order lines ({ productId, quantity })
+ */
+async function releaseItems(items) {
+  const lines = groupTrackedItems(items);
+
+  for (const line of lines) {
+    await Product.updateOne(
+      { _id: line.productId },
+      { $inc: { stock: line.quantity }, $set: { inStock: true } }
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * Decrement stock for the given lines.
+ * Each decrement only succeeds if enough stock is left, so parallel orders
+ * cannot oversell. If any line fails, lines already taken are put back.
+ * @param {Array} items - Order lines ({ productId, quantity, name })
+ * @returns {Promise<Array>} Lines that were actually reserved
+ */
+async function reserveItems(items) {
+  const lines = groupTrackedItems(items);
+  const reserved = [];
+
+  for (const line of lines) {
+    const result = await Product.updateOne(
+      { _id: line.productId, stock: { $gte: line.quantity } },
+      [
+        { $set: { stock: { $subtract: ['$stock', line.quantity] } } },
+        { $set: { inStock: { $gt: ['$stock', 0] } } },
+      ]
+    );
+
+    if (result.matchedCount === 1) {
+      reserved.push(line);
+      continue;
+    }
+
+    const product = await Product.findById(line.productId).select('name stock');
+
+    // Product was removed from the catalogue - nothing to track
+    if (!product) continue;
+
+    await releaseItems(reserved);
+    throw stockError(
+      `Only ${product.stock} of ${product.name} available in stock`,
+      { productId: product._id, available: product.stock }
+    );
+  }
+
+  return reserved;
+}
+
+module.exports = {
+  reserveItems,
+  releaseItems,
+  groupTrackedItems,
+};
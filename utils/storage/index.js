@@ -0,0 +1,115 @@
+// utils/storage/index.js - File storage backends and signed download URLs
+//
+// Every storage backend implements the same interface:
+//
+//   name                        Stored on the document next to the key
+//   save(key, buffer, meta)     -> { key, size }   meta is { contentType }
+//   read(key)                   -> Buffer          FILE_NOT_FOUND if missing
+//   remove(key)                 -> boolean
+//
+// FILE_STORAGE picks the backend for new files (default 'local'). Files are
+// read back with the backend they were saved with, so switching is safe.
+// Downloads go through /api/files with an HMAC-signed, expiring URL, so an
+// <img> tag can show them without sending the admin token.
+const crypto = require('crypto');
+const localDisk = require('./localDisk');
+
+const DEFAULT_URL_TTL_SECONDS = 5 * 60;
+
+const backends = new Map();
+
+/**
+ * Register a storage backend (replaces one with the same name)
+ */
+function registerStorageBackend(backend) {
+  const missing = ['save', 'read', 'remove'].filter(
+    (method) => typeof backend[method] !== 'function'
+  );
+
+  if (!backend.name || missing.length > 0) {
+    throw new Error(
+      `Invalid storage backend ${backend.name || '(unnamed)'}: missing ${missing.join(', ') || 'name'}`
+    );
+  }
+
+  backends.set(backend.name, backend);
+  return backend;
+}
+
+/**
+ * Look up a backend by name
+ * @returns {object|null}
+ */
+function getStorageBackend(name) {
+  return backends.get(name) || null;
+}
+
+// Backend for new uploads
+function getDefaultStorage() {
+  const name = process.env.FILE_STORAGE || 'local';
+  const backend = getStorageBackend(name);
+  if (!backend) {
+    throw new Error(`Unknown FILE_STORAGE backend '${name}'`);
+  }
+  return backend;
+}
+
+function getSigningSecret() {
+  const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('FILE_URL_SECRET (or JWT_SECRET) must be set to sign file URLs');
+  }
+  return secret;
+}
+
+const signFile = (storage, key, expires) =>
+  crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${storage}\n${key}\n${expires}`)
+    .digest('hex');
+
+/**
+ * Time-limited URL for a stored file
+ * @param {object} file - { storage, key }
+ * @param {number} [ttlSeconds]
+ * @returns {object} { url, expiresAt }
+ */
+function createSignedUrl(file, ttlSeconds = DEFAULT_URL_TTL_SECONDS) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = signFile(file.storage, file.key, expires);
+  const baseUrl = (process.env.API_BASE_URL || '').replace(/\/+$/, '');
+
+  return {
+    url: `${baseUrl}/api/files/${encodeURIComponent(file.storage)}/${encodeURIComponent(
+      file.key
+    )}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000),
+  };
+}
+
+/**
+ * Check a signed URL's parameters
+ * @returns {boolean}
+ */
+function verifySignedUrl({ storage, key, expires, signature }) {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = signFile(storage, key, expiresAt);
+  return (
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+}
+
+registerStorageBackend(localDisk);
+
+module.exports = {
+  registerStorageBackend,
+  getStorageBackend,
+  getDefaultStorage,
+  createSignedUrl,
+  verifySignedUrl,
+};
@@ -0,0 +1,60 @@
+// utils/storage/localDisk.js - Files on the server's disk (default backend)
+//
+// Files live under UPLOAD_DIR (default <project>/uploads). Keys are
+// relative paths such as 'payment-screenshots/<order>-<random>.png'.
+const fs = require('fs/promises');
+const path = require('path');
+
+const getRoot = () =>
+  path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+// Resolve a key inside the upload root; rejects '../' tricks
+function resolveKey(key) {
+  const root = getRoot();
+  const filePath = path.resolve(root, key || '');
+
+  if (!key || !filePath.startsWith(root + path.sep)) {
+    const error = new Error(`Invalid storage key: ${key}`);
+    error.code = 'INVALID_STORAGE_KEY';
+    throw error;
+  }
+  return filePath;
+}
+
+async function save(key, buffer) {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  // 'wx' never overwrites another order's file
+  await fs.writeFile(filePath, buffer, { flag: 'wx' });
+  return { key, size: buffer.length };
+}
+
+async function read(key) {
+  try {
+    return await fs.readFile(resolveKey(key));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      const notFound = new Error(`File not found: ${key}`);
+      notFound.code = 'FILE_NOT_FOUND';
+      throw notFound;
+    }
+    throw error;
+  }
+}
+
+async function remove(key) {
+  try {
+    await fs.unlink(resolveKey(key));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'local',
+  save,
+  read,
+  remove,
+};
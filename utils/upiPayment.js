@@ -0,0 +1,73 @@
+// utils/upiPayment.js - UPI intent links and QR codes for order payments
+const QRCode = require('qrcode');
+const Settings = require('../models/Settings');
+
+const UPI_ID_PATTERN = /^[\w.-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,64}$/;
+
+/**
+ * Payee details from admin Settings (UPI_ID / UPI_PAYEE_NAME env as fallback)
+ * @returns {Promise<object>} { upiId, payeeName, enabled }
+ */
+async function getUpiPayee() {
+  const settings = await Settings.findOne({ type: 'admin' }).lean();
+
+  return {
+    upiId: (settings?.payment?.upiId || process.env.UPI_ID || '').trim(),
+    payeeName:
+      settings?.invoice?.businessName ||
+      settings?.general?.siteName ||
+      process.env.UPI_PAYEE_NAME ||
+      'Lion Bidi',
+    enabled: settings?.payment?.enableUPI !== false,
+  };
+}
+
+/**
+ * Build a upi://pay intent URI (NPCI deep link spec)
+ * @param {object} params
+ * @param {string} params.upiId - Payee VPA
+ * @param {string} params.payeeName
+ * @param {number} params.amount - Rupees
+ * @param {string} params.note - Transaction note shown in the UPI app
+ * @returns {string}
+ */
+function buildUpiUri({ upiId, payeeName, amount, note }) {
+  if (!UPI_ID_PATTERN.test(upiId || '')) {
+    const error = new Error(`Invalid UPI ID: ${upiId || '(empty)'}`);
+    error.code = 'UPI_NOT_CONFIGURED';
+    throw error;
+  }
+
+  const params = [
+    ['pa', upiId],
+    ['pn', payeeName],
+    ['am', (Math.round(Number(amount) * 100) / 100).toFixed(2)],
+    ['cu', 'INR'],
+    ['tn', note],
+  ]
+    .filter(([, value]) => value)
+    // Some UPI apps do not decode %40, so the VPA keeps a literal @
+    .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`);
+
+  return `upi://pay?${params.join('&')}`;
+}
+
+/**
+ * Render a UPI URI as a QR code
+ * @param {string} uri
+ * @param {string} format - 'png' (Buffer) or 'svg' (string)
+ */
+function renderUpiQr(uri, format = 'png') {
+  const options = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+
+  return format === 'svg'
+    ? QRCode.toString(uri, { ...options, type: 'svg' })
+    : QRCode.toBuffer(uri, { ...options, type: 'png' });
+}
+
+module.exports = {
+  getUpiPayee,
+  buildUpiUri,
+  renderUpiQr,
+  UPI_ID_PATTERN,
+};